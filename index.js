@@ -1,23 +1,46 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const path = require('path');
 const fs = require('fs');
-const pdfParse = require('pdf-parse');
 const mongoose = require('mongoose');
-const cohere = require('cohere-ai');
-const pdfImgConvert = require('pdf-img-convert');
-const Tesseract = require('tesseract.js');
-const AnalysisHistory = require('./models/AnalysisHistory');
-const { protect } = require('./middleware/auth');
-const jwt = require('jsonwebtoken');
+const { optionalAuth } = require('./middleware/auth');
+const { rateLimit, analysisQuota } = require('./middleware/usage');
+const llm = require('./services/llm');
+const { UPLOAD_DIR, extractTextPages, planExtraction, extractionMethod } = require('./services/papers');
+const { hashBuffer, getCachedExtraction, saveExtraction } = require('./services/extractionCache');
+const { analysisRequestFromBody, validateAnalysisRequest, analyzePapers } = require('./services/analysis');
+const { submitJob, resumeJobs } = require('./services/jobs');
+const { detectMetadata, readProvidedMetadata, validateMetadata, resolveMetadata } = require('./services/metadata');
+const { IMAGE_TYPES, imageType, isImage, imagesToPdf } = require('./services/images');
+const { defaultLanguages, parseLanguages, validateLanguages, countPages, shutdownPools } = require('./services/ocr');
+const {
+  uploadLimits,
+  sniffFileType,
+  readHeader,
+  storageName,
+  sanitizeFileName,
+  uploadOwner,
+  ownerFilter,
+  pendingBytes,
+  authorizeUploads,
+  removeUploadFiles,
+  startUploadSweeper,
+} = require('./services/uploads');
+const Upload = require('./models/Upload');
 const User = require('./models/User');
-require('dotenv').config();
 
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Behind a proxy (e.g. Render) set TRUST_PROXY to the number of proxy hops,
+// so rate limits see the client IP rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // mongoos Connection
 const connectDB = async () => {
   try {
@@ -32,8 +55,14 @@ const connectDB = async () => {
   }
 };
 
-// mongodb connect
-connectDB();
+// mongodb connect, mark accounts older than email verification as verified,
+// then pick up jobs interrupted by a restart and start removing uploads that
+// were never analyzed
+connectDB()
+  .then(() => User.verifyLegacyUsers())
+  .catch(error => console.error('Legacy user verification error:', error))
+  .then(resumeJobs)
+  .then(startUploadSweeper);
 
 const apiKey = process.env.GEMINI_API_KEY;
 if (!apiKey) {
@@ -63,7 +92,8 @@ app.use(cors({
     'https://py-quer-client.vercel.app',
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Upload-Token'],
+  exposedHeaders: ['X-Mock-Paper-Seed']
 }));
 app.use(express.json());
 
@@ -81,536 +111,396 @@ app.use('/api/', (req, res, next) => {
 
 const authRoutes = require('./routes/auth');
 const aiRoutes = require('./routes/ai');
+const jobRoutes = require('./routes/jobs');
+const questionRoutes = require('./routes/questions');
+const adminRoutes = require('./routes/admin');
+const uploadRoutes = require('./routes/uploads');
+const usageRoutes = require('./routes/usage');
+const answerRoutes = require('./routes/answers');
+const mockPaperRoutes = require('./routes/mockPapers');
+const syllabusRoutes = require('./routes/syllabi');
+const analyticsRoutes = require('./routes/analytics');
 
 
 app.use('/api/auth', authRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/answers', answerRoutes);
+app.use('/api/mock-papers', mockPaperRoutes);
+app.use('/api/syllabi', syllabusRoutes);
+app.use('/api/analytics', analyticsRoutes);
+
+const limits = uploadLimits();
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir);
+    if (!fs.existsSync(UPLOAD_DIR)) {
+      fs.mkdirSync(UPLOAD_DIR);
     }
-    cb(null, uploadDir);
+    cb(null, UPLOAD_DIR);
   },
+  // Random names; the original name is only kept in the upload record
   filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname);
+    cb(null, storageName(file.mimetype === 'application/pdf' ? file.mimetype : imageType(file)));
   }
 });
 
 const upload = multer({
   storage: storage,
+  limits: {
+    fileSize: limits.maxFileBytes,
+    files: limits.maxFiles,
+    fields: 100,
+    fieldSize: 1024 * 1024,
+  },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (file.mimetype === 'application/pdf' || isImage(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'));
+      const error = new Error('Only PDF, JPEG, PNG and HEIC files are allowed');
+      error.status = 400;
+      cb(error);
     }
   }
 });
 
+// Runs multer, answering its errors (limits, rejected files) with JSON
+const receiveUploads = (req, res, next) => {
+  upload.array('files')(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      console.error('Multer specific error code:', error.code);
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: `Upload failed: ${error.message}` });
+    }
+    console.error('Upload error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Error uploading files' });
+  });
+};
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-console.log('Initializing Cohere with API key:', process.env.COHERE_API_KEY ? 'API key is set' : 'API key is missing');
-cohere.init(process.env.COHERE_API_KEY);
-
-
-const parsePapers = async (papers) => {
-  const parsedPapers = [];
-  for (const paper of papers) {
-    const filePath = path.join(__dirname, 'uploads', paper.fileId);
-    if (!fs.existsSync(filePath)) {
-      console.warn(`File not found: ${filePath}`);
-      continue;
+// Checks the content of each file against the type it was sent as.
+// Returns an error message, or null.
+const checkFileTypes = (files) => {
+  for (const file of files) {
+    file.detectedType = sniffFileType(readHeader(file.path));
+    const sentPdf = file.mimetype === 'application/pdf';
+    if (sentPdf && file.detectedType !== 'application/pdf') {
+      return `${sanitizeFileName(file.originalname)} is not a valid PDF file`;
     }
-    let text = '';
-    if (paper.needsOCR) {
-      console.log(`Performing OCR for non-searchable PDF: ${paper.originalName}`);
-      const images = await pdfImgConvert.convert(filePath, { width: 2200, height: 3000 });
-      let ocrText = '';
-      for (let i = 0; i < images.length; i++) {
-        const img = images[i];
-        if (i === 0) {
-          fs.writeFileSync(path.join(__dirname, 'uploads', 'ocr_debug_page1.png'), img);
-        }
-        const { data: { text: pageText } } = await Tesseract.recognize(img, 'eng');
-        console.log(`OCR result for page ${i + 1} (${paper.originalName}):`, pageText);
-        ocrText += pageText + '\n';
-      }
-      text = ocrText;
-    } else {
-      console.log(`Extracting text from searchable PDF: ${paper.originalName}`);
-      const pdfBuffer = fs.readFileSync(filePath);
-      const pdfData = await pdfParse(pdfBuffer);
-      text = pdfData.text;
+    if (!sentPdf && !IMAGE_TYPES[file.detectedType]) {
+      return `${sanitizeFileName(file.originalname)} is not a valid JPEG, PNG or HEIC image`;
     }
-    
-    // console.log(`Paper: ${paper.originalName}, Text Extracted (first 100 chars): ${text.substring(0, 100)}...`);
-    // console.log(`OCR Used for ${paper.originalName}: ${!!text && paper.needsOCR}`);
-    parsedPapers.push({
-      text,
-      subject: paper.subject,
-      year: paper.year,
-      originalName: paper.originalName 
-    });
   }
-  return parsedPapers;
+  return null;
 };
 
-// not supported sentence sub..
-const isMathSubject = (papers) => {
-  return papers.some(paper => {
-    const subject = paper.subject.toLowerCase();
-    return subject.includes('math') || 
-           subject.includes('mathematics') ||
-           subject.includes('calculus') ||
-           subject.includes('algebra') ||
-           subject.includes('theory of computation') ||
-           subject.includes('toc') ||
-           subject.includes('discrete mathematics') ||
-           subject.includes('dm') ||
-           subject.includes('compiler design') ||
-           subject.includes('compiler') ||
-           subject.includes('automata') ||
-           subject.includes('formal languages') ||
-           subject.includes('cd');
-  });
-};
-
-// prompt
-const generatePrompt = (papersText, isMathSubject) => {
-  return `
-You are an assistant that analyzes previous year questions. From the uploaded list of questions, provide a comprehensive analysis.
-
-${isMathSubject ? 'NOTE: This analysis tool works best for theory subjects. For mathematics, theory of computation, discrete mathematics, compiler design, and similar technical subjects, the analysis will be more general and focus on question patterns and types rather than exact content.' : ''}
-
-You must return the results in EXACTLY this format, including ALL sections and subsections:
-
-1. Repeated Questions Analysis:
-Identify repeated or semantically similar questions that appear in two or more papers. These may not be worded exactly the same but should have substantially the same meaning or ask about the same concept. Group them together and format in a table like this:
-
-| Question  | Repeated Count | Papers Appeared |
-|------------------|----------------|------------------|
-| Ensemble Learning (e.g., "Discuss Ensemble Learning", "Explain Ensemble Learning in detail") | 2 | Paper 1, Paper 3 |
-| Bagging and Boosting (e.g., "Explain Bagging and Boosting", "Describe Bagging, Boosting, Stacking") | 2 | Paper 2, Paper 4 |
-
-If there are NO repeated or semantically similar questions, simply state:
-"No repeated or semantically similar questions found across the papers."
-
-2. Questions Asking for Differences:
-If there are questions asking for differences, format them in a table like this:
-| Question | Papers Appeared |
-|----------|-----------------|
-| Compare and contrast X and Y | Paper 1, Paper 3 |
-| Differentiate between A and B | Paper 2 |
-
-If there are NO questions asking for differences, simply state:
-"No questions asking for differences found in the papers."
-
-3. Questions Requiring Diagrams:
-If there are questions requiring diagrams, format them in a table like this:
-| Question | Papers Appeared |
-|----------|-----------------|
-| Draw and explain the architecture of... | Paper 1 |
-| Illustrate the process flow of... | Paper 2, Paper 3 |
-
-If there are NO questions requiring diagrams, simply state:
-"No questions requiring diagrams found in the papers."
-
-4. Remaining Questions:
-List only those questions that are not already included in the above three sections (Repeated Questions, Differences, Diagrams).
-These should be unique questions that have not been mentioned in any previous section.
-List them exactly as they appear in the input papers, using the format below:
-
-Paper 1:
-q1. a) [Question text]  
-b) [Question text]  
-c) [Question text]  
-
-q2. a) [Question text]  
-b) [Question text]  
-c) [Question text]  
-
-[and so on for all remaining papers…]
-Do not duplicate any question already covered in Sections 1, 2, or 3.
-
-Maintain blank lines between each question group for readability.
-
-Do not summarize or reword questions; use the exact original text from the papers.
-
-
-5. Study Recommendations:
-Based on the analysis of all papers, here are the key recommendations for students:
-
-1. Important Topics:
-   - Focus on frequently repeated topics
-   - Pay attention to topics that appeared in recent papers
-
-2. Question Patterns:
-   - Practice answering difference-based questions
-   - Be prepared for questions requiring diagrams
-   - Note if there's a trend towards more application-based or theoretical questions
+// Turns the uploaded files into papers. PDFs are papers on their own; images
+// are combined into one PDF, a page each, in upload order (or by file name
+// with imageOrder=name). combineImages=false makes every image its own paper.
+const uploadedPapers = async (files, body) => {
+  const images = files.filter(file => file.detectedType !== 'application/pdf');
+  const asPaper = (file) => ({ filename: file.filename, originalname: sanitizeFileName(file.originalname) });
+  if (images.length === 0) {
+    return files.map(asPaper);
+  }
+  if (body.imageOrder === 'name') {
+    images.sort((a, b) => a.originalname.localeCompare(b.originalname, undefined, { numeric: true, sensitivity: 'base' }));
+  }
+  const groups = body.combineImages === 'false' ? images.map(image => [image]) : [images];
+
+  const combined = new Map();
+  for (const group of groups) {
+    const pdfBuffer = await imagesToPdf(group.map(image => ({
+      buffer: fs.readFileSync(path.join(UPLOAD_DIR, image.filename)),
+      type: image.detectedType,
+      name: sanitizeFileName(image.originalname)
+    })));
+    const filename = storageName('application/pdf');
+    fs.writeFileSync(path.join(UPLOAD_DIR, filename), pdfBuffer);
+    combined.set(group[0], {
+      filename,
+      originalname: `${path.parse(sanitizeFileName(group[0].originalname)).name}.pdf`,
+      sourceFiles: group.map(image => sanitizeFileName(image.originalname))
+    });
+  }
+  removeUploadFiles(images.map(image => image.filename));
 
-3. Preparation Strategy:
-   - Prioritize studying topics identified as 'Important Topics'
-   - Practice drawing diagrams for concepts listed in section 3
-   - Work through remaining questions from Section 4
+  // Combined papers take the place of their first image
+  return files
+    .filter(file => file.detectedType === 'application/pdf' || combined.has(file))
+    .map(file => combined.get(file) || asPaper(file));
+};
 
-6. Predictions:
-Based on the analysis of all papers, provide predictions for the upcoming year's paper. Include specific topics or question types that are highly likely to appear.
+// OCR languages for a paper: "eng+hin" for all papers, or repeated in paper order
+const readOcrLanguages = (body, index) => {
+  const value = Array.isArray(body.ocrLanguages) ? body.ocrLanguages[index] : body.ocrLanguages;
+  return value ? parseLanguages(value) : defaultLanguages();
+};
 
-IMPORTANT:
-- **For the 'Papers Appeared' column, you MUST ONLY include the paper number (e.g., 'Paper 1', 'Paper 2'). You are ABSOLUTELY FORBIDDEN from including any year information (e.g., 'Paper 1 (2020)', 'Paper 1 (Unknown Year)'). Focus solely on the paper number provided in the INPUT PAPERS.**
-- Keep the exact format shown above for all sections.
-- For sections 1, 2, and 3, if no matching questions are found, use the "No X found" message instead of an empty table.
-- Do not add any extra sections or information before or after the specified sections.
-- Do not modify the question text from the input papers.
-- Use proper markdown table formatting only when there are actual items to display.
-- For technical subjects (mathematics, theory of computation, discrete mathematics, compiler design, etc.), focus on question patterns and types rather than exact content when generating recommendations.
-- Always start with Paper 1 in section 4.
-- Add blank lines between questions within a paper in section 4.
-- *Ensure section 5 is filled with actual, specific recommendations and not just the structure or placeholders.*
-- *Ensure section 6 is filled with actual, specific predictions and not just the structure or placeholders.*
+llm.providerNames().forEach(name => {
+  const configured = llm.getProvider(name).isConfigured();
+  console.log(`LLM provider ${name}: ${configured ? 'API key is set' : 'API key is missing'}`);
+});
 
-INPUT PAPERS:
-${papersText}
-`;
-};
 
-app.post('/api/upload', upload.array('files'), async (req, res) => {
+app.post('/api/upload', optionalAuth, rateLimit, receiveUploads, async (req, res) => {
+  const discardFiles = (files) => removeUploadFiles(files.map(file => file.filename));
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const uploadedFilesInfo = [];
-    for (const file of req.files) {
-      const filePath = path.join(__dirname, 'uploads', file.filename);
-      const pdfBuffer = fs.readFileSync(filePath);
-      let needsOCR = false;
-      try {
-        const pdfData = await pdfParse(pdfBuffer);
-        if (!pdfData.text || !pdfData.text.trim()) {
-          needsOCR = true;
-        }
-      } catch (parseError) {
-        console.warn(`Error parsing PDF ${file.originalname} with pdf-parse, assuming non-searchable:`, parseError.message);
-        needsOCR = true;
-      }
-
-      uploadedFilesInfo.push({
-        fileId: file.filename,
-        subject: 'Unknown Subject',
-        year: new Date().getFullYear(),
-        originalName: file.originalname,
-        needsOCR: needsOCR 
-      });
+    const requestBytes = req.files.reduce((total, file) => total + file.size, 0);
+    if (requestBytes > limits.maxRequestBytes) {
+      discardFiles(req.files);
+      return res.status(413).json({ error: `Upload failed: more than ${limits.maxRequestBytes / (1024 * 1024)} MB in one request` });
     }
 
-    res.json({ files: uploadedFilesInfo });
-  } catch (error) {
-    console.error('Upload error:', error);
-    if (error instanceof multer.MulterError) {
-      console.error('Multer specific error code:', error.code);
-      return res.status(400).json({ error: `Upload failed: ${error.message}` });
-    }
-    res.status(500).json({ error: 'Error uploading files' });
-  }
-});
-
-app.post('/api/analyze', async (req, res) => {
-  try {
-    const { papers, model = 'gemini' } = req.body;
-
-    if (!papers || papers.length === 0) {
-      return res.status(400).json({ error: 'No papers provided for analysis' });
+    const wrongType = checkFileTypes(req.files);
+    if (wrongType) {
+      discardFiles(req.files);
+      return res.status(400).json({ error: wrongType });
     }
 
-    const parsedPapers = await parsePapers(papers);
-    if (parsedPapers.length === 0) {
-      return res.status(400).json({ error: 'No valid papers found for analysis' });
+    // Uploads belong to the logged in user, or to an upload token for anonymous users
+    const owner = uploadOwner(req);
+    if (await pendingBytes(owner) + requestBytes > limits.maxPendingBytes) {
+      discardFiles(req.files);
+      return res.status(413).json({ error: 'Upload quota exceeded, analyze or delete your earlier uploads first' });
     }
 
-    const papersText = parsedPapers.map((paper, index) => `
-Paper ${index + 1}:
-${paper.text}
-`).join('\n');
-
-    const prompt = generatePrompt(papersText, isMathSubject(parsedPapers));
-
-    let analysis;
+    let papers;
     try {
-      switch (model.toLowerCase()) {
-        case 'gemini':
-          const geminiModel = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-          const result = await geminiModel.generateContent(prompt);
-          const response = await result.response;
-          analysis = response.text();
-          break;
-
-        case 'mistral': {
-          const { default: MistralClient } = await import('@mistralai/mistralai');
-          const mistralClient = new MistralClient(process.env.MISTRAL_API_KEY);
-          const mistralResponse = await mistralClient.chat({
-            model: 'mistral-large-latest',
-            messages: [{ role: 'user', content: prompt }]
-          });
-          analysis = mistralResponse.choices[0].message.content;
-          break;
-        }
-
-        case 'cohere':
-          const cohereResponse = await cohere.generate({
-            model: 'command',
-            prompt: prompt,
-            max_tokens: 2000,
-            temperature: 0.7,
-            k: 0,
-            stop_sequences: [],
-            return_likelihoods: 'NONE'
-          });
-          
-          if (!cohereResponse || !cohereResponse.body || !cohereResponse.body.generations || !cohereResponse.body.generations[0]) {
-            throw new Error('Invalid response from Cohere API');
-          }
-
-          analysis = cohereResponse.body.generations[0].text;
-          break;
+      papers = await uploadedPapers(req.files, req.body);
+    } catch (imageError) {
+      discardFiles(req.files);
+      return res.status(400).json({ error: imageError.message });
+    }
+    const discardPapers = () => discardFiles(papers);
 
-        default:
-          return res.status(400).json({ error: 'Invalid model specified' });
+    // Page counts, caller supplied metadata and OCR languages are checked
+    // before any paper is processed
+    const providedMetadata = [];
+    const ocrLanguages = [];
+    for (const [index, paper] of papers.entries()) {
+      try {
+        paper.pages = await countPages(fs.readFileSync(path.join(UPLOAD_DIR, paper.filename)));
+      } catch (parseError) {
+        console.warn(`Error reading PDF ${paper.originalname}:`, parseError.message);
+        discardPapers();
+        return res.status(400).json({ error: `${paper.originalname} is not a readable PDF file` });
+      }
+      if (paper.pages > limits.maxPages) {
+        discardPapers();
+        return res.status(400).json({ error: `${paper.originalname} has ${paper.pages} pages, the limit is ${limits.maxPages}` });
       }
 
-      console.log(`\n=== Raw ${model.toUpperCase()} Analysis Response ===\n`);
-      console.log(analysis);
-      console.log('\n===================================\n');
-      console.log('Papers sent to client with OCR status:', parsedPapers.map(p => ({ originalName: p.originalName, usedOCR: !!p.text && p.needsOCR })));
-
-      // Save analysis history if user is authenticated
-      let userId = null;
-      if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        try {
-          const token = req.headers.authorization.split(' ')[1];
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
-          userId = decoded.id;
-        } catch (err) {
-          userId = null;
-        }
+      let provided;
+      try {
+        provided = readProvidedMetadata(req.body, index);
+      } catch (metadataError) {
+        discardPapers();
+        return res.status(400).json({ error: metadataError.message });
       }
-      if (userId) {
-        console.log('Saving analysis history for user:', userId);
-        await AnalysisHistory.create({
-          user: userId,
-          papersInfo: parsedPapers.map(p => ({
-            originalName: p.originalName,
-            subject: p.subject,
-            year: p.year,
-            needsOCR: false 
-          })),
-          prompt,
-          papersText,
-          analysis,
-          modelUsed: model,
-        });
-        console.log('Analysis history saved for user:', userId);
+      const languages = readOcrLanguages(req.body, index);
+      const invalid = validateMetadata(provided) || validateLanguages(languages);
+      if (invalid) {
+        discardPapers();
+        return res.status(400).json({ error: `${paper.originalname}: ${invalid}` });
       }
+      providedMetadata.push(provided);
+      ocrLanguages.push(languages);
+    }
 
-      // Debug log before sending response
-      console.log('API RESPONSE /api/analyze:', {
-        analysis,
-        model,
-        papersText,
-        prompt,
-        papers: parsedPapers.map(paper => ({ originalName: paper.originalName }))
-      });
-      res.json({
-        analysis: analysis,
-        model: model,
-        timestamp: new Date().toISOString(),
-        papers: parsedPapers.map(paper => ({
-          originalName: paper.originalName // Return original name to client
-        })),
-        papersText: papersText, // Add raw papersText to response
-        prompt: prompt // Add prompt template to response
-      });
-
-      if (Array.isArray(papers)) {
-        for (const paper of papers) {
-          const filePath = path.join(__dirname, 'uploads', paper.fileId);
-          fs.unlink(filePath, (err) => {
-            if (err) {
-              console.warn(`Failed to delete file after analysis: ${filePath}`, err.message);
-            } else {
-              console.log(`Deleted uploaded file after analysis: ${filePath}`);
-            }
-          });
+    const uploadedFilesInfo = [];
+    for (const [index, file] of papers.entries()) {
+      const filePath = path.join(UPLOAD_DIR, file.filename);
+      const pdfBuffer = fs.readFileSync(filePath);
+      const contentHash = hashBuffer(pdfBuffer);
+
+      // A paper uploaded before is answered from the extraction cache,
+      // which /api/analyze then reuses as well
+      const cached = await getCachedExtraction(contentHash, { languages: ocrLanguages[index] });
+      let pages;
+      let firstPageText = '';
+      if (cached) {
+        pages = cached.pageReport;
+        firstPageText = cached.pages[0] || '';
+      } else {
+        try {
+          // Pages without a usable text layer are OCR'd during analysis
+          const textPages = await extractTextPages(pdfBuffer);
+          pages = planExtraction(textPages);
+          if (pages[0] && pages[0].method === 'text') {
+            firstPageText = textPages[0];
+          }
+          if (pages.length > 0 && pages.every(page => page.method === 'text')) {
+            await saveExtraction(contentHash, { method: 'text', pages: textPages, pageReport: pages, size: pdfBuffer.length });
+          }
+        } catch (parseError) {
+          console.warn(`Error parsing PDF ${file.originalname} with pdf-parse, assuming non-searchable:`, parseError.message);
+          pages = [];
         }
       }
+      const method = cached ? cached.method : pages.length > 0 ? extractionMethod(pages) : 'ocr';
+      const needsOCR = method !== 'text';
 
-    } catch (apiError) {
-      console.error(`${model.toUpperCase()} API Error:`, apiError);
-      return res.status(500).json({
-        error: `Error analyzing with ${model.toUpperCase()} API. Please check your API key and try again.`,
-        details: apiError.message
+      // Scanned papers have no text layer to detect metadata from before OCR
+      const detected = detectMetadata(firstPageText);
+      const { metadata, metadataSource } = resolveMetadata(providedMetadata[index], detected);
+
+      uploadedFilesInfo.push({
+        fileId: file.filename,
+        ...metadata,
+        originalName: file.originalname,
+        sourceFiles: file.sourceFiles, // Images combined into this paper, in page order
+        needsOCR: needsOCR,
+        ocrLanguages: ocrLanguages[index],
+        extraction: { method, pages },
+        contentHash,
+        cacheHit: !!cached,
+        ocr: cached ? cached.ocr : undefined,
+        detected,
+        metadataSource
       });
     }
 
+    await Upload.insertMany(papers.map((paper, index) => ({
+      fileId: paper.filename,
+      originalName: paper.originalname,
+      sourceFiles: paper.sourceFiles,
+      user: owner.user,
+      tokenHash: owner.tokenHash,
+      ip: owner.ip,
+      size: fs.statSync(path.join(UPLOAD_DIR, paper.filename)).size,
+      pages: paper.pages,
+      contentHash: uploadedFilesInfo[index].contentHash,
+    })));
+
+    // Anonymous clients send the token back as X-Upload-Token to use these files
+    res.json({ files: uploadedFilesInfo, uploadToken: owner.token });
   } catch (error) {
-    console.error('Analysis error:', error);
-    res.status(500).json({ error: 'Error analyzing paper' });
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Error uploading files' });
   }
 });
 
-// Gemini endpoint
-app.post('/api/ai/gemini', async (req, res) => {
-  try {
-    const { papers } = req.body;
-    if (!papers || papers.length === 0) {
-      return res.status(400).json({ error: 'No papers provided for analysis' });
-    }
-
-    const parsedPapers = await parsePapers(papers);
-    if (parsedPapers.length === 0) {
-      return res.status(400).json({ error: 'No valid papers found for analysis' });
-    }
-
-    const papersText = parsedPapers.map((paper, index) => `\nPaper ${index + 1}:\n${paper.text}\n`).join('\n');
-    const prompt = generatePrompt(papersText, isMathSubject(parsedPapers));
-
-    const geminiModel = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    const result = await geminiModel.generateContent(prompt);
-    const response = await result.response;
-    const analysis = response.text();
-
-    console.log('API RESPONSE /api/ai/gemini:', {
-      analysis,
-      model: 'gemini',
-      papersText,
-      prompt,
-      papers: parsedPapers.map(paper => ({ originalName: paper.originalName }))
-    });
-    res.json({
-      analysis: analysis,
-      model: 'gemini',
-      timestamp: new Date().toISOString(),
-      papersText: papersText,
-      prompt: prompt
-    });
+// Sends a 400 or 404 for an unusable analysis request; resolves to true when it can run
+const checkAnalysisRequest = async (request, req, res) => {
+  const invalid = validateAnalysisRequest(request);
+  if (invalid) {
+    res.status(400).json({ error: invalid });
+    return false;
+  }
+  const forbidden = await authorizeUploads(request.papers, req);
+  if (forbidden) {
+    res.status(404).json({ error: forbidden });
+    return false;
+  }
+  return true;
+};
 
-  } catch (error) {
-    console.error('Gemini API Error:', error);
-    res.status(500).json({
-      error: 'Error analyzing with Gemini API. Please check your API key and try again.',
-      details: error.message
-    });
+// Status and body of the error response for a failed analysis
+const analysisErrorResponse = (error, model) => {
+  if (error.status === 400) {
+    return { status: 400, body: { error: error.message } };
   }
-});
+  if (error instanceof llm.ProviderError) {
+    console.error(`${String(model).toUpperCase()} API Error:`, error);
+    return {
+      status: 500,
+      body: {
+        error: `Error analyzing with ${String(model).toUpperCase()} API. Please check your API key and try again.`,
+        details: error.message,
+        fallbackAttempts: error.attempts
+      }
+    };
+  }
+  console.error('Analysis error:', error);
+  return { status: 500, body: { error: 'Error analyzing paper' } };
+};
 
-// Mistral endpoint
-app.post('/api/ai/mistral', async (req, res) => {
+app.post('/api/analyze', optionalAuth, rateLimit, analysisQuota, async (req, res) => {
+  const request = analysisRequestFromBody(req.body, req.query);
+  const { model } = request;
   try {
-    const { papers } = req.body;
-    if (!papers || papers.length === 0) {
-      return res.status(400).json({ error: 'No papers provided for analysis' });
-    }
+    if (!await checkAnalysisRequest(request, req, res)) return;
 
-    const parsedPapers = await parsePapers(papers);
-    if (parsedPapers.length === 0) {
-      return res.status(400).json({ error: 'No valid papers found for analysis' });
+    // Long running analyses (OCR of scanned papers) can be run as a job
+    // and followed through /api/jobs/:id instead of holding the request open
+    if (req.body.async) {
+      const job = await submitJob(request, ownerFilter(req));
+      return res.status(202).json({ jobId: job._id, status: job.status, statusUrl: `/api/jobs/${job._id}` });
     }
 
-    const papersText = parsedPapers.map((paper, index) => `\nPaper ${index + 1}:\n${paper.text}\n`).join('\n');
-    const prompt = generatePrompt(papersText, isMathSubject(parsedPapers));
+    const result = await analyzePapers(request, { userId: req.user && req.user._id });
 
-    const { default: MistralClient } = await import('@mistralai/mistralai');
-    const mistralClient = new MistralClient(process.env.MISTRAL_API_KEY);
-    const mistralResponse = await mistralClient.chat({
-      model: 'mistral-large-latest',
-      messages: [{ role: 'user', content: prompt }]
-    });
-    const analysis = mistralResponse.choices[0].message.content;
-
-    console.log('API RESPONSE /api/ai/mistral:', {
-      analysis,
-      model: 'mistral',
-      papersText,
-      prompt,
-      papers: parsedPapers.map(paper => ({ originalName: paper.originalName }))
+    // Debug log before sending response
+    console.log('API RESPONSE /api/analyze:', {
+      analysis: result.analysis,
+      model: result.model,
+      papersText: result.papersText,
+      prompt: result.prompt,
+      papers: result.papers
     });
-    res.json({
-      analysis: analysis,
-      model: 'mistral',
-      timestamp: new Date().toISOString(),
-      papersText: papersText,
-      prompt: prompt
-    });
-
+    res.json(result);
   } catch (error) {
-    console.error('Mistral API Error:', error);
-    res.status(500).json({
-      error: 'Error analyzing with Mistral API. Please check your API key and try again.',
-      details: error.message
-    });
+    const { status, body } = analysisErrorResponse(error, model);
+    res.status(status).json(body);
   }
 });
 
-// Cohere endpoint
-app.post('/api/ai/cohere', async (req, res) => {
-  try {
-    const { papers } = req.body;
-    if (!papers || papers.length === 0) {
-      return res.status(400).json({ error: 'No papers provided for analysis' });
-    }
-
-    const parsedPapers = await parsePapers(papers);
-    if (parsedPapers.length === 0) {
-      return res.status(400).json({ error: 'No valid papers found for analysis' });
-    }
-
-    const papersText = parsedPapers.map((paper, index) => `\nPaper ${index + 1}:\n${paper.text}\n`).join('\n');
-    const prompt = generatePrompt(papersText, isMathSubject(parsedPapers));
-
-    const cohereResponse = await cohere.generate({
-      model: 'command',
-      prompt: prompt,
-      max_tokens: 2000,
-      temperature: 0.7,
-      k: 0,
-      stop_sequences: [],
-      return_likelihoods: 'NONE'
-    });
+const STREAM_HEARTBEAT_MS = 15000;
 
-   
-    console.log('Cohere API Response:', JSON.stringify(cohereResponse, null, 2));
+// Same request and result as /api/analyze, sent as Server-Sent Events:
+// `progress` while the papers are read, `token` events with the markdown
+// analysis as the model writes it, then `done` with the full response
+// (model, timestamp, papers, ...) or `error`. The analysis is saved to the
+// history even when the client disconnects before it is done.
+app.post('/api/analyze/stream', optionalAuth, rateLimit, analysisQuota, async (req, res) => {
+  const request = analysisRequestFromBody(req.body, req.query);
+  const { model } = request;
+  try {
+    if (!await checkAnalysisRequest(request, req, res)) return;
+  } catch (error) {
+    const { status, body } = analysisErrorResponse(error, model);
+    return res.status(status).json(body);
+  }
 
-    if (!cohereResponse || !cohereResponse.body || !cohereResponse.body.generations || !cohereResponse.body.generations[0]) {
-      throw new Error('Invalid response from Cohere API');
-    }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-    const analysis = cohereResponse.body.generations[0].text;
+  const send = (event, data) => {
+    if (res.destroyed || res.writableEnded) return;
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => !res.destroyed && res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  res.on('close', () => clearInterval(heartbeat));
 
-    console.log('API RESPONSE /api/ai/cohere:', {
-      analysis,
-      model: 'cohere',
-      papersText,
-      prompt,
-      papers: parsedPapers.map(paper => ({ originalName: paper.originalName }))
-    });
-    res.json({
-      analysis: analysis,
-      model: 'cohere',
-      timestamp: new Date().toISOString(),
-      papersText: papersText,
-      prompt: prompt
+  try {
+    const result = await analyzePapers(request, {
+      userId: req.user && req.user._id,
+      onProgress: (update) => send('progress', update),
+      onToken: (text) => send('token', { text }),
     });
-
+    send('done', result);
   } catch (error) {
-    console.error('Cohere API Error:', error);
-    res.status(500).json({
-      error: 'Error with Cohere API',
-      details: error.message
-    });
+    const { status, body } = analysisErrorResponse(error, model);
+    send('error', { status, ...body });
+    // The response status is already 200, so the quota middleware cannot tell
+    if (res.locals.refundQuota) res.locals.refundQuota();
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
   }
 });
 
@@ -618,18 +508,18 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
 });
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  process.exit(0);
-});
+// Tesseract workers are terminated before exiting, for at most SHUTDOWN_TIMEOUT_MS
+const SHUTDOWN_TIMEOUT_MS = 5000;
+const shutdown = (signal) => {
+  console.log(`${signal} signal received: closing HTTP server`);
+  setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT_MS).unref();
+  shutdownPools().finally(() => process.exit(0));
+};
 
-process.on('SIGINT', () => {
-  console.log('SIGINT signal received: closing HTTP server');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
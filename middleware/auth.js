@@ -1,5 +1,24 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Resolves the user and session of an access token. Throws when the token
+// is invalid or its session has been revoked (logout, password change).
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed carry no session id
+  if (!decoded.sid) {
+    throw new Error('Token has no session');
+  }
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+    throw new Error('Session has been revoked or has expired');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  return { user, session };
+};
 
 // Middleware to protect routes
 const protect = async (req, res, next) => {
@@ -11,11 +30,10 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      // Verify token and its session, and get the user from it
+      const { user, session } = await authenticate(token);
+      req.user = user;
+      req.authSession = session;
 
       if (!req.user) {
         return res.status(401).json({ error: 'User not found' });
@@ -37,6 +55,28 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Middleware that attaches the user when a valid token is sent,
+// but lets anonymous requests through
+const optionalAuth = async (req, res, next) => {
+  req.user = null;
+  req.authSession = null;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      const { user, session } = await authenticate(token);
+      if (user && user.isActive) {
+        req.user = user;
+        req.authSession = session;
+      }
+    } catch (error) {
+      req.user = null;
+    }
+  }
+
+  next();
+};
+
 // Middleware to check if user is admin
 const admin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
@@ -46,11 +86,14 @@ const admin = (req, res, next) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d', // Token expires in 30 days
+// Access tokens are short lived; clients renew them with a refresh token
+const accessTokenTtlSeconds = () => Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+
+// Generate JWT access token for a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: accessTokenTtlSeconds(),
   });
 };
 
-module.exports = { protect, admin, generateToken }; 
\ No newline at end of file
+module.exports = { protect, optionalAuth, admin, generateToken, accessTokenTtlSeconds }; 
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { usageSubject, chargeQuota, usageReport, hitRateLimit } = require('../services/usage');
+const { uploadedPages } = require('../services/uploads');
+
+const QUOTA_MESSAGES = {
+  analysesPerDay: 'Daily analysis quota reached',
+  analysesPerMonth: 'Monthly analysis quota reached',
+  pagesPerDay: 'Daily page quota reached',
+  pagesPerMonth: 'Monthly page quota reached',
+};
+
+// Middleware limiting requests per IP and per user (RATE_LIMIT_* settings).
+// If the counters cannot be reached the request is let through.
+const rateLimit = async (req, res, next) => {
+  try {
+    const state = await hitRateLimit(req);
+    res.set({
+      'X-RateLimit-Limit': state.limit,
+      'X-RateLimit-Remaining': state.remaining,
+      'X-RateLimit-Reset': Math.ceil(state.resetsAt.getTime() / 1000),
+    });
+    if (state.limited) {
+      const retryAfter = Math.max(Math.ceil((state.resetsAt.getTime() - Date.now()) / 1000), 1);
+      res.set('Retry-After', retryAfter);
+      return res.status(429).json({ error: 'Too many requests, please try again later', retryAfter });
+    }
+  } catch (error) {
+    console.error('Rate limit error:', error);
+  }
+  next();
+};
+
+// Middleware charging the request to the caller's plan quota. `measure(req)`
+// resolves to `{ analyses, pages }`. The charge is refunded when the
+// response is an error; background jobs stay charged once accepted.
+const quota = (measure) => async (req, res, next) => {
+  try {
+    const subject = usageSubject(req);
+    if (subject.exempt) return next();
+
+    const charge = await chargeQuota(subject, await measure(req));
+    if (!charge.ok) {
+      return res.status(429).json({ error: QUOTA_MESSAGES[charge.exceeded], usage: await usageReport(subject) });
+    }
+    const refund = () => charge.refund().catch(error => console.error('Quota refund error:', error));
+    res.on('finish', () => {
+      if (res.statusCode >= 400) refund();
+    });
+    // For streamed responses, whose status is sent before the outcome is known
+    res.locals.refundQuota = refund;
+  } catch (error) {
+    console.error('Quota error:', error);
+  }
+  next();
+};
+
+// An analysis costs one analysis and the pages of its uploads
+const analysisQuota = quota(async (req) => ({ analyses: 1, pages: await uploadedPages(req.body.papers) }));
+
+// Follow-up questions on an analysis cost one analysis and no pages
+const insightsQuota = quota(async () => ({ analyses: 1, pages: 0 }));
+
+module.exports = { rateLimit, analysisQuota, insightsQuota };
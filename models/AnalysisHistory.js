@@ -1,4 +1,24 @@
 const mongoose = require('mongoose');
+const { hasProvider } = require('../services/llm');
+const { EXAM_SESSIONS } = require('../services/metadata');
+
+const MAX_TAGS = 20;
+
+// Lowercased, trimmed and de-duplicated; a comma separated string is accepted
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return Array.from(new Set(list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean)));
+};
+
+// "DBMS 2021, 2022" from the papers' subjects and years
+const defaultTitle = (papersInfo = []) => {
+  const subjects = Array.from(new Set(papersInfo.map(paper => paper.subject).filter(Boolean)));
+  const years = Array.from(new Set(papersInfo.map(paper => paper.year).filter(Boolean))).sort();
+  const subject = subjects.length > 0 ? subjects.join(' / ') : 'Analysis';
+  return years.length > 0 ? `${subject} ${years.join(', ')}` : subject;
+};
 
 const analysisHistorySchema = new mongoose.Schema({
   user: {
@@ -6,11 +26,27 @@ const analysisHistorySchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+  },
+  tags: {
+    type: [{ type: String, maxlength: [30, 'Tags cannot exceed 30 characters'] }],
+    set: normalizeTags,
+    validate: {
+      validator: tags => tags.length <= MAX_TAGS,
+      message: `An analysis can have at most ${MAX_TAGS} tags`
+    },
+  },
   papersInfo: [
     {
       originalName: { type: String, required: true },
       subject: { type: String },
       year: { type: Number },
+      examSession: { type: String, enum: EXAM_SESSIONS },
+      university: { type: String },
+      courseCode: { type: String },
       needsOCR: { type: Boolean },
     },
   ],
@@ -26,10 +62,30 @@ const analysisHistorySchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // 'json' when the analysis was requested with format=json; `analysis` then
+  // holds the raw model output and `structured` the validated object
+  format: {
+    type: String,
+    enum: ['markdown', 'json'],
+    default: 'markdown',
+  },
+  structured: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false,
+  },
+  // Token estimates and chunking for the request, see services/analysis.js
+  truncation: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false,
+  },
   modelUsed: {
     type: String,
-    enum: ['gemini', 'mistral', 'cohere'],
     required: true,
+    // Checked against the provider registry so new providers are accepted
+    validate: {
+      validator: hasProvider,
+      message: props => `${props.value} is not a registered LLM provider`
+    },
   },
   createdAt: {
     type: Date,
@@ -39,4 +95,20 @@ const analysisHistorySchema = new mongoose.Schema({
   timestamps: true,
 });
 
+analysisHistorySchema.pre('validate', function(next) {
+  if (!this.title) {
+    this.title = defaultTitle(this.papersInfo);
+  }
+  next();
+});
+
+analysisHistorySchema.index({ user: 1, createdAt: -1 });
+analysisHistorySchema.index({ user: 1, tags: 1 });
+analysisHistorySchema.index(
+  { title: 'text', tags: 'text', 'papersInfo.subject': 'text', analysis: 'text', papersText: 'text' },
+  { name: 'history_text', weights: { title: 10, tags: 8, 'papersInfo.subject': 5, analysis: 2, papersText: 1 } }
+);
+
+analysisHistorySchema.statics.defaultTitle = defaultTitle;
+
 module.exports = mongoose.model('AnalysisHistory', analysisHistorySchema, 'pyquer_analysis_history'); 
\ No newline at end of file
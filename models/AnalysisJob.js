@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'extracting', 'ocr', 'calling_model', 'done', 'failed'];
+const ACTIVE_STATUSES = ['queued', 'extracting', 'ocr', 'calling_model'];
+
+const analysisJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+  // SHA-256 of the X-Upload-Token of an anonymous submitter, who needs the
+  // same token to read the job
+  tokenHash: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+  },
+  // Original /api/analyze body, kept so the job can be resumed after a restart
+  request: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  progress: {
+    message: { type: String },
+    paper: { type: String },
+    paperIndex: { type: Number },
+    totalPapers: { type: Number },
+    page: { type: Number },
+    totalPages: { type: Number },
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  startedAt: {
+    type: Date,
+  },
+  finishedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+analysisJobSchema.index({ status: 1, createdAt: 1 });
+
+// Shape returned by the jobs API
+analysisJobSchema.methods.toClient = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    progress: this.progress,
+    result: this.status === 'done' ? this.result : undefined,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+  };
+};
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema, 'pyquer_analysis_jobs');
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
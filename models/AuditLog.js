@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Admin who performed the action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  target: {
+    kind: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId },
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ip: {
+    type: String,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.id': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema, 'pyquer_audit_logs');
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const CHAT_ROLES = ['user', 'assistant'];
+
+// Follow-up conversation about one saved analysis. Every message is kept
+// for display; the first `summarizedCount` of them are no longer sent to the
+// model verbatim but folded into `summary` (see services/chat.js).
+const chatThreadSchema = new mongoose.Schema({
+  analysis: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AnalysisHistory',
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  messages: [
+    {
+      role: { type: String, enum: CHAT_ROLES, required: true },
+      content: { type: String, required: true },
+      // Provider and model that wrote an assistant message
+      provider: { type: String },
+      model: { type: String },
+      createdAt: { type: Date, default: Date.now },
+    },
+  ],
+  summary: {
+    type: String,
+    default: '',
+  },
+  summarizedCount: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+chatThreadSchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('ChatThread', chatThreadSchema, 'pyquer_chat_threads');
+module.exports.CHAT_ROLES = CHAT_ROLES;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Text extracted from an uploaded PDF, keyed by the SHA-256 of the file
+// content so the same paper is never parsed or OCR'd twice
+const extractionCacheSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // 'text' for the PDF text layer, 'ocr' for Tesseract output, 'mixed'
+  // when only some pages were OCR'd
+  method: {
+    type: String,
+    enum: ['text', 'ocr', 'mixed'],
+    required: true,
+  },
+  pages: {
+    type: [String],
+    default: [],
+  },
+  // Method used for each page: [{ page, method, characters, confidence }]
+  pageReport: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // OCR report: per-page confidence and the low confidence pages
+  ocr: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // Tesseract languages the OCR'd pages were recognized with
+  languages: {
+    type: [String],
+    default: undefined,
+  },
+  // Size of the source file in bytes
+  size: {
+    type: Number,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Pushed back on every hit, so entries expire after a period without use
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+extractionCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+extractionCacheSchema.index({ lastUsedAt: 1 });
+
+module.exports = mongoose.model('ExtractionCache', extractionCacheSchema, 'pyquer_extraction_cache');
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A model response, keyed by a hash of the normalized prompt, provider and
+// model settings (services/llm/cache.js)
+const llmCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  model: {
+    type: String,
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+llmCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LlmCache', llmCacheSchema, 'pyquer_llm_cache');
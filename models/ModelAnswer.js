@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const DIAGRAM_FORMATS = ['mermaid', 'graphviz', 'description'];
+
+// Generated model answer for one question, cached per user under a key
+// derived from the question text, marks, subject and diagram format
+// (services/modelAnswers.js). Regenerating replaces the answer and clears
+// the rating given to the previous one.
+const modelAnswerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  questionKey: {
+    type: String,
+    required: true,
+  },
+  question: {
+    text: { type: String, required: true },
+    marks: { type: Number },
+    subject: { type: String },
+    diagramFormat: { type: String, enum: DIAGRAM_FORMATS },
+  },
+  // Where the question was picked from
+  source: {
+    question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+    analysis: { type: mongoose.Schema.Types.ObjectId, ref: 'AnalysisHistory' },
+    section: { type: String },
+  },
+  // { outline: [String], sections: [{ heading, content }], keyPoints: [String],
+  //   diagram: { format, source, description } }
+  answer: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  provider: {
+    type: String,
+  },
+  model: {
+    type: String,
+  },
+  // Times the answer was generated, counting regenerations
+  generations: {
+    type: Number,
+  },
+  rating: {
+    value: { type: Number, min: 1, max: 5 },
+    comment: { type: String, maxlength: [1000, 'Comment cannot exceed 1000 characters'] },
+    ratedAt: { type: Date },
+  },
+}, {
+  timestamps: true,
+});
+
+modelAnswerSchema.index({ user: 1, questionKey: 1 }, { unique: true });
+modelAnswerSchema.index({ user: 1, 'source.question': 1 });
+modelAnswerSchema.index({ user: 1, 'source.analysis': 1 });
+
+module.exports = mongoose.model('ModelAnswer', modelAnswerSchema, 'pyquer_model_answers');
+module.exports.DIAGRAM_FORMATS = DIAGRAM_FORMATS;
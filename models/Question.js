@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  text: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+  },
+  subject: {
+    type: String,
+    trim: true,
+  },
+  year: {
+    type: Number,
+  },
+  // Paper the question was taken from, usually the uploaded file name
+  paper: {
+    type: String,
+    trim: true,
+  },
+  questionNumber: {
+    type: String,
+    trim: true,
+  },
+  part: {
+    type: String,
+    trim: true,
+  },
+  marks: {
+    type: Number,
+    min: 0,
+  },
+  source: {
+    fileId: { type: String },
+    originalName: { type: String },
+    analysis: { type: mongoose.Schema.Types.ObjectId, ref: 'AnalysisHistory' },
+  },
+  // Normalized subject/year/paper/text, so re-uploading a paper does not
+  // add its questions to the bank twice
+  fingerprint: {
+    type: String,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+questionSchema.index({ user: 1, fingerprint: 1 }, { unique: true });
+questionSchema.index({ user: 1, subject: 1, year: -1 });
+questionSchema.index({ text: 'text', subject: 'text' });
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+questionSchema.statics.fingerprintOf = function({ subject, year, paper, questionNumber, part, text }) {
+  const key = [subject, year, paper, questionNumber, part, text].map(normalize).join('|');
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+questionSchema.pre('validate', function(next) {
+  this.fingerprint = this.constructor.fingerprintOf(this);
+  next();
+});
+
+module.exports = mongoose.model('Question', questionSchema, 'pyquer_questions');
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A login session. The refresh token itself is never stored, only its hash;
+// the hash is replaced on every refresh (rotation).
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  // Hash of the refresh token that was rotated out; presenting it again
+  // means the token was stolen, so the session is revoked
+  previousTokenHash: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema, 'pyquer_sessions');
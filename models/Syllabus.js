@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A course syllabus parsed into units and topics (services/syllabus.js).
+// Units can be corrected by hand when the parser got them wrong.
+const syllabusSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+  },
+  subject: {
+    type: String,
+    trim: true,
+  },
+  courseCode: {
+    type: String,
+    trim: true,
+  },
+  units: [
+    {
+      number: { type: Number, required: true },
+      title: { type: String, trim: true },
+      topics: [{ type: String, trim: true }],
+    },
+  ],
+  // Text the units were parsed from
+  sourceText: {
+    type: String,
+  },
+  originalName: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+syllabusSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Syllabus', syllabusSchema, 'pyquer_syllabi');
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A paper waiting in the uploads directory to be analyzed. It belongs to
+// the logged in user who uploaded it, or to whoever holds the upload token
+// handed out for an anonymous upload (only its hash is stored).
+const uploadSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  originalName: {
+    type: String,
+    required: true,
+  },
+  // Images combined into this paper, in page order
+  sourceFiles: {
+    type: [String],
+    default: undefined,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  tokenHash: {
+    type: String,
+  },
+  // Client IP of an anonymous upload, for the pending bytes cap
+  ip: {
+    type: String,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  pages: {
+    type: Number,
+  },
+  contentHash: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+uploadSchema.index({ user: 1, createdAt: -1 });
+uploadSchema.index({ tokenHash: 1, createdAt: -1 });
+uploadSchema.index({ ip: 1 });
+uploadSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('Upload', uploadSchema, 'pyquer_uploads');
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A counter for one rate limit window or quota period, e.g.
+// "rate:ip:1.2.3.4:28839201" or "analyses:user:<id>:day:2026-10-19".
+// MongoDB removes it once the window is over.
+const usageCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsageCounter', usageCounterSchema, 'pyquer_usage_counters');
@@ -1,6 +1,23 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Single-use tokens mailed to the user. Only the SHA-256 hash is stored.
+const TOKEN_PURPOSES = {
+  emailVerification: () => Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24) * 60 * 60 * 1000,
+  passwordReset: () => Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60) * 60 * 1000
+};
+
+// Usage plans; the limits of each are in services/usage.js
+const PLANS = ['free', 'pro'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const tokenField = {
+  tokenHash: { type: String, select: false },
+  expiresAt: { type: Date, select: false }
+};
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -31,6 +48,25 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  plan: {
+    type: String,
+    enum: PLANS,
+    default: 'free'
+  },
+  // Per-user limits set by an admin, replacing those of the plan
+  quota: {
+    analysesPerDay: Number,
+    analysesPerMonth: Number,
+    pagesPerDay: Number,
+    pagesPerMonth: Number
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  emailVerification: tokenField,
+  passwordReset: tokenField,
   lastLogin: {
     type: Date,
     default: Date.now
@@ -65,10 +101,48 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Issues a token for `purpose` (emailVerification or passwordReset),
+// replacing any earlier one. Returns the raw token; the caller saves.
+userSchema.methods.createToken = function(purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.set(purpose, {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_PURPOSES[purpose]())
+  });
+  return token;
+};
+
+userSchema.methods.clearToken = function(purpose) {
+  this.set(purpose, { tokenHash: undefined, expiresAt: undefined });
+};
+
+// Finds the user holding an unexpired token for `purpose`
+userSchema.statics.findByToken = function(purpose, token) {
+  if (!TOKEN_PURPOSES[purpose] || !token) return Promise.resolve(null);
+  return this.findOne({
+    [`${purpose}.tokenHash`]: hashToken(token),
+    [`${purpose}.expiresAt`]: { $gt: new Date() }
+  });
+};
+
 // Update last login
+// Accounts created before email verification existed have no emailVerified
+// in the database and would load as unverified. Run once at startup; it only
+// touches documents missing the field, so it is safe to repeat.
+userSchema.statics.verifyLegacyUsers = async function() {
+  const result = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} existing user(s) as email verified`);
+  }
+};
+
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
   return this.save();
 };
 
-module.exports = mongoose.model('User', userSchema, 'pyquer_users'); 
\ No newline at end of file
+module.exports = mongoose.model('User', userSchema, 'pyquer_users');
+module.exports.PLANS = PLANS; 
\ No newline at end of file
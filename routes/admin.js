@@ -0,0 +1,346 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AnalysisHistory = require('../models/AnalysisHistory');
+const AuditLog = require('../models/AuditLog');
+const { protect, admin } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { revokeUserSessions } = require('../services/sessions');
+const { cacheStats, purgeCache } = require('../services/extractionCache');
+const { QUOTA_FIELDS, userSubject, usageReport, resetUsage } = require('../services/usage');
+const { escapeRegex, paginate } = require('../utils/query');
+
+const router = express.Router();
+
+const ROLES = ['user', 'admin'];
+const { PLANS } = User;
+
+const findTargetUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// Admins cannot lock themselves out
+const isSelf = (req, user) => user._id.equals(req.user._id);
+
+// @desc    List users with filters
+// @route   GET /api/admin/users?q=&role=&isActive=&page=&limit=
+// @access  Private/Admin
+const listUsers = async (req, res) => {
+  try {
+    const { q, role, isActive } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = {};
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Invalid role, expected one of: ${ROLES.join(', ')}` });
+      }
+      filter.role = role;
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select('-password').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ users, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get a user
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [analyses, usage] = await Promise.all([
+      AnalysisHistory.countDocuments({ user: user._id }),
+      usageReport(userSubject(user))
+    ]);
+    res.json({ ...user.toObject(), analyses, usage });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Activate or deactivate through the existing isActive flag
+const setActive = (isActive) => async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!isActive && isSelf(req, user)) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const previous = user.isActive;
+    user.isActive = isActive;
+    await user.save();
+    if (!isActive) {
+      await revokeUserSessions(user._id, 'user deactivated');
+    }
+
+    await recordAudit(req, isActive ? 'user.activate' : 'user.deactivate',
+      { kind: 'User', id: user._id },
+      { email: user.email, previous });
+
+    res.json({ _id: user._id, email: user.email, isActive: user.isActive });
+  } catch (error) {
+    console.error('Admin set active error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Activate a user
+// @route   PUT /api/admin/users/:id/activate
+// @access  Private/Admin
+const activateUser = setActive(true);
+
+// @desc    Deactivate a user
+// @route   PUT /api/admin/users/:id/deactivate
+// @access  Private/Admin
+const deactivateUser = setActive(false);
+
+// @desc    Promote or demote a user
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role, expected one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (role !== 'admin' && isSelf(req, user)) {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const previous = user.role;
+    user.role = role;
+    await user.save();
+
+    if (previous !== role) {
+      await recordAudit(req, role === 'admin' ? 'user.promote' : 'user.demote',
+        { kind: 'User', id: user._id },
+        { email: user.email, previous, role });
+    }
+
+    res.json({ _id: user._id, email: user.email, role: user.role });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Change a user's plan or quota limits, optionally resetting usage
+// @route   PUT /api/admin/users/:id/quota
+// @access  Private/Admin
+const updateUserQuota = async (req, res) => {
+  try {
+    const { plan, quota = {}, resetUsage: reset = false } = req.body;
+    if (plan !== undefined && !PLANS.includes(plan)) {
+      return res.status(400).json({ error: `Invalid plan, expected one of: ${PLANS.join(', ')}` });
+    }
+    if (quota === null || typeof quota !== 'object' || Array.isArray(quota)) {
+      return res.status(400).json({ error: 'quota must be an object' });
+    }
+    for (const [field, value] of Object.entries(quota)) {
+      if (!QUOTA_FIELDS.includes(field)) {
+        return res.status(400).json({ error: `Invalid quota field ${field}, expected one of: ${QUOTA_FIELDS.join(', ')}` });
+      }
+      // null goes back to the plan's limit
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        return res.status(400).json({ error: `${field} must be a non-negative integer or null` });
+      }
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previous = { plan: user.plan, quota: { ...user.toObject().quota } };
+    if (plan !== undefined) user.plan = plan;
+    for (const [field, value] of Object.entries(quota)) {
+      user.set(`quota.${field}`, value === null ? undefined : value);
+    }
+    await user.save();
+    if (reset) {
+      await resetUsage(userSubject(user));
+    }
+
+    await recordAudit(req, 'user.quota', { kind: 'User', id: user._id },
+      { email: user.email, previous, plan: user.plan, quota, resetUsage: !!reset });
+
+    res.json({ _id: user._id, email: user.email, plan: user.plan, quota: user.quota, usage: await usageReport(userSubject(user)) });
+  } catch (error) {
+    console.error('Admin update quota error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Delete a user
+// @route   DELETE /api/admin/users/:id
+// @access  Private/Admin
+const deleteUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    await user.deleteOne();
+    await revokeUserSessions(user._id, 'user deleted');
+    await recordAudit(req, 'user.delete', { kind: 'User', id: user._id }, { email: user.email });
+
+    res.json({ message: 'User removed' });
+  } catch (error) {
+    console.error('Admin delete user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get a user's analysis history
+// @route   GET /api/admin/users/:id/history?page=&limit=
+// @access  Private/Admin
+const getUserHistory = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { page, limit, skip } = paginate(req.query);
+    const filter = { user: user._id };
+    const [history, total] = await Promise.all([
+      AnalysisHistory.find(filter)
+        .select('-prompt -papersText')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AnalysisHistory.countDocuments(filter)
+    ]);
+
+    await recordAudit(req, 'user.history.view', { kind: 'User', id: user._id }, { page });
+
+    res.json({ history, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Admin get user history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    List audit log entries
+// @route   GET /api/admin/audit-logs?action=&actor=&target=&page=&limit=
+// @access  Private/Admin
+const listAuditLogs = async (req, res) => {
+  try {
+    const { action, actor, target } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = {};
+    if (action) filter.action = action;
+    for (const [key, field] of [[actor, 'actor'], [target, 'target.id']]) {
+      if (!key) continue;
+      if (!mongoose.Types.ObjectId.isValid(key)) {
+        return res.status(400).json({ error: `Invalid ${field}` });
+      }
+      filter[field] = key;
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({ logs, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Admin list audit logs error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Extraction cache statistics
+// @route   GET /api/admin/cache
+// @access  Private/Admin
+const getCacheStats = async (req, res) => {
+  try {
+    res.json(await cacheStats());
+  } catch (error) {
+    console.error('Admin cache stats error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Purge the extraction cache, optionally only some entries
+// @route   DELETE /api/admin/cache?hash=&method=&unusedDays=
+// @access  Private/Admin
+const purgeExtractionCache = async (req, res) => {
+  try {
+    const { hash, method } = req.query;
+    if (hash && !/^[a-f0-9]{64}$/i.test(hash)) {
+      return res.status(400).json({ error: 'hash must be a SHA-256 hex digest' });
+    }
+    if (method && !['text', 'ocr', 'mixed'].includes(method)) {
+      return res.status(400).json({ error: 'Invalid method, expected one of: text, ocr, mixed' });
+    }
+    let unusedDays;
+    if (req.query.unusedDays !== undefined) {
+      unusedDays = Number(req.query.unusedDays);
+      if (!Number.isFinite(unusedDays) || unusedDays < 0) {
+        return res.status(400).json({ error: 'unusedDays must be a non-negative number' });
+      }
+    }
+
+    const removed = await purgeCache({ hash: hash && hash.toLowerCase(), method, unusedDays });
+    await recordAudit(req, 'cache.purge', { kind: 'ExtractionCache' }, { hash, method, unusedDays, removed });
+
+    res.json({ message: 'Extraction cache purged', removed });
+  } catch (error) {
+    console.error('Admin purge cache error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Routes
+router.use(protect, admin);
+router.get('/users', listUsers);
+router.get('/users/:id', getUser);
+router.put('/users/:id/activate', activateUser);
+router.put('/users/:id/deactivate', deactivateUser);
+router.put('/users/:id/role', updateUserRole);
+router.put('/users/:id/quota', updateUserQuota);
+router.delete('/users/:id', deleteUser);
+router.get('/users/:id/history', getUserHistory);
+router.get('/audit-logs', listAuditLogs);
+router.get('/cache', getCacheStats);
+router.delete('/cache', purgeExtractionCache);
+
+module.exports = router;
@@ -1,89 +1,287 @@
 const express = require('express');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { rateLimit, insightsQuota } = require('../middleware/usage');
 const AnalysisHistory = require('../models/AnalysisHistory');
+const ChatThread = require('../models/ChatThread');
+const llm = require('../services/llm');
+const { EXPORT_FORMATS, exportAnalysis } = require('../services/export');
+const { MAX_QUESTION_LENGTH, askAboutAnalysis } = require('../services/chat');
+const { escapeRegex, paginate } = require('../utils/query');
 
 const API_BASE_URL = 'https://pyquer-server.onrender.com';
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Additional insights on an existing analysis, answered by `provider`
+// or the next provider in the fallback chain.
+const insightsHandler = (provider) => async (req, res) => {
+  try {
+    const { analysis, fallback = true, forceRefresh = false } = req.body;
+    if (!analysis) {
+      return res.status(400).json({ error: 'Analysis text is required' });
+    }
+
+    const prompt = `Based on the following analysis, provide additional insights and recommendations:\n\n${analysis}`;
+
+    const result = await llm.generate(prompt, { provider, fallback, forceRefresh });
+    res.json({ response: result.text, model: result.provider, cached: !!result.cached });
+  } catch (error) {
+    console.error(`${provider} API Error:`, error);
+    const name = provider.charAt(0).toUpperCase() + provider.slice(1);
+    res.status(500).json({ error: `Error generating ${name} response` });
+  }
+};
 
-const generateAIResponse = async (model, prompt) => {
+router.post('/gemini', optionalAuth, rateLimit, insightsQuota, insightsHandler('gemini'));
+router.post('/cohere', optionalAuth, rateLimit, insightsQuota, insightsHandler('cohere'));
+router.post('/mistral', optionalAuth, rateLimit, insightsQuota, insightsHandler('mistral'));
+
+// Everything but the large text blobs, for list views
+const LIST_PROJECTION = { prompt: 0, papersText: 0, analysis: 0, structured: 0 };
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`${name} must be a valid date`);
+    error.status = 400;
+    throw error;
+  }
+  return date;
+};
+
+// Builds the history filter from the query; throws with status 400 on bad input
+const historyFilter = (userId, query) => {
+  const { q, subject, model, tag, from, to } = query;
+  const filter = { user: userId };
+
+  if (subject) filter['papersInfo.subject'] = new RegExp(`^${escapeRegex(subject)}$`, 'i');
+  if (model) filter.modelUsed = String(model).toLowerCase();
+  if (tag) filter.tags = String(tag).trim().toLowerCase();
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, 'from');
+    if (to) {
+      const end = parseDate(to, 'to');
+      // A bare date covers the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+      filter.createdAt.$lte = end;
+    }
+  }
+  if (q) filter.$text = { $search: q };
+  return filter;
+};
+
+const findOwnHistory = async (req, res, projection) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Analysis not found' });
+    return null;
+  }
+  const item = await AnalysisHistory.findOne({ _id: req.params.id, user: req.user._id }, projection);
+  if (!item) {
+    res.status(404).json({ error: 'Analysis not found' });
+    return null;
+  }
+  return item;
+};
+
+// @desc    List the user's past analyses
+// @route   GET /api/ai/history?q=&subject=&model=&tag=&from=&to=&page=&limit=
+// @access  Private
+const listHistory = async (req, res) => {
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    return response.text();
+    const { page, limit, skip } = paginate(req.query);
+    const filter = historyFilter(req.user._id, req.query);
+
+    const projection = req.query.q ? { ...LIST_PROJECTION, score: { $meta: 'textScore' } } : LIST_PROJECTION;
+    const sort = req.query.q ? { score: { $meta: 'textScore' } } : { createdAt: -1 };
+
+    const [items, total] = await Promise.all([
+      AnalysisHistory.find(filter, projection).sort(sort).skip(skip).limit(limit),
+      AnalysisHistory.countDocuments(filter)
+    ]);
+
+    // Entries saved before titles existed get the generated one
+    const history = items.map(item => ({
+      ...item.toObject(),
+      title: item.title || AnalysisHistory.defaultTitle(item.papersInfo)
+    }));
+
+    res.json({ history, total, page, pages: Math.ceil(total / limit) });
   } catch (error) {
-    console.error('AI Response Error:', error);
-    throw new Error('Failed to generate AI response');
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching analysis history:', error);
+    res.status(500).json({ error: 'Failed to fetch analysis history' });
   }
 };
 
-// Gemini endpoint
-router.post('/gemini', async (req, res) => {
+// @desc    Get one past analysis with its prompt and papers text
+// @route   GET /api/ai/history/:id
+// @access  Private
+const getHistoryItem = async (req, res) => {
   try {
-    const { analysis } = req.body;
-    if (!analysis) {
-      return res.status(400).json({ error: 'Analysis text is required' });
+    const item = await findOwnHistory(req, res);
+    if (!item) return;
+    res.json({
+      ...item.toObject(),
+      title: item.title || AnalysisHistory.defaultTitle(item.papersInfo)
+    });
+  } catch (error) {
+    console.error('Error fetching analysis:', error);
+    res.status(500).json({ error: 'Failed to fetch analysis' });
+  }
+};
+
+// @desc    Rename or re-tag a past analysis
+// @route   PUT /api/ai/history/:id
+// @access  Private
+const updateHistoryItem = async (req, res) => {
+  try {
+    const { title, tags } = req.body;
+    if (title === undefined && tags === undefined) {
+      return res.status(400).json({ error: 'Nothing to update, send a title or tags' });
     }
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    const prompt = `Based on the following analysis, provide additional insights and recommendations:\n\n${analysis}`;
-    
-    const response = await generateAIResponse(model, prompt);
-    res.json({ response });
+    const item = await findOwnHistory(req, res, LIST_PROJECTION);
+    if (!item) return;
+
+    if (title !== undefined) {
+      // An empty title falls back to the generated one on save
+      item.title = String(title || '').trim() || undefined;
+    }
+    if (tags !== undefined) item.tags = tags;
+
+    const updated = await item.save({ validateModifiedOnly: true });
+    res.json(updated);
   } catch (error) {
-    console.error('Gemini API Error:', error);
-    res.status(500).json({ error: 'Error generating Gemini response' });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating analysis:', error);
+    res.status(500).json({ error: 'Failed to update analysis' });
   }
-});
+};
 
-// Cohere endpoint
-router.post('/cohere', async (req, res) => {
+// @desc    Delete a past analysis
+// @route   DELETE /api/ai/history/:id
+// @access  Private
+const deleteHistoryItem = async (req, res) => {
   try {
-    const { analysis } = req.body;
-    if (!analysis) {
-      return res.status(400).json({ error: 'Analysis text is required' });
+    const item = await findOwnHistory(req, res, { _id: 1 });
+    if (!item) return;
+    await item.deleteOne();
+    await ChatThread.deleteOne({ analysis: item._id });
+    res.json({ message: 'Analysis removed' });
+  } catch (error) {
+    console.error('Error deleting analysis:', error);
+    res.status(500).json({ error: 'Failed to delete analysis' });
+  }
+};
+
+// @desc    Download a past analysis as PDF, DOCX, Markdown or CSV
+// @route   GET /api/ai/history/:id/export?format=pdf|docx|md|csv
+// @access  Private
+const exportHistoryItem = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format, expected one of: ${EXPORT_FORMATS.join(', ')}` });
     }
 
-    res.status(501).json({ error: 'Cohere API integration not implemented yet' });
+    const item = await findOwnHistory(req, res, { prompt: 0, papersText: 0 });
+    if (!item) return;
+
+    const { buffer, contentType, fileName } = await exportAnalysis(item, format);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
   } catch (error) {
-    console.error('Cohere API Error:', error);
-    res.status(500).json({ error: 'Error generating Cohere response' });
+    console.error('Error exporting analysis:', error);
+    res.status(500).json({ error: 'Failed to export analysis' });
   }
-});
+};
 
-// Mistral endpoint
-router.post('/mistral', async (req, res) => {
+// @desc    Get the follow-up chat of a past analysis
+// @route   GET /api/ai/history/:id/chat
+// @access  Private
+const getChat = async (req, res) => {
   try {
-    const { analysis } = req.body;
-    if (!analysis) {
-      return res.status(400).json({ error: 'Analysis text is required' });
+    const item = await findOwnHistory(req, res, { _id: 1 });
+    if (!item) return;
+    const thread = await ChatThread.findOne({ analysis: item._id });
+    res.json({
+      messages: thread ? thread.messages : [],
+      summary: thread ? thread.summary : '',
+      summarizedCount: thread ? thread.summarizedCount : 0
+    });
+  } catch (error) {
+    console.error('Error fetching chat:', error);
+    res.status(500).json({ error: 'Failed to fetch chat' });
+  }
+};
+
+// @desc    Ask a follow-up question about a past analysis
+// @route   POST /api/ai/history/:id/chat
+// @access  Private
+const postChatMessage = async (req, res) => {
+  const { message, model = 'gemini', fallback = true, forceRefresh = false } = req.body;
+  try {
+    const question = typeof message === 'string' ? message.trim() : '';
+    if (!question) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+      return res.status(400).json({ error: `Message cannot exceed ${MAX_QUESTION_LENGTH} characters` });
+    }
+    if (!llm.hasProvider(model)) {
+      return res.status(400).json({ error: 'Invalid model specified' });
     }
 
-    res.status(501).json({ error: 'Mistral API integration not implemented yet' });
+    const item = await findOwnHistory(req, res, { prompt: 0, structured: 0 });
+    if (!item) return;
+
+    const result = await askAboutAnalysis(item, req.user._id, question, { provider: model, fallback, forceRefresh });
+    res.json(result);
   } catch (error) {
-    console.error('Mistral API Error:', error);
-    res.status(500).json({ error: 'Error generating Mistral response' });
+    if (error instanceof llm.ProviderError) {
+      console.error(`${String(model).toUpperCase()} API Error:`, error);
+      return res.status(500).json({
+        error: `Error generating ${String(model).toUpperCase()} response`,
+        details: error.message,
+        fallbackAttempts: error.attempts
+      });
+    }
+    console.error('Chat error:', error);
+    res.status(500).json({ error: 'Failed to answer the message' });
   }
-});
+};
 
-// Get history for the loggined user
-router.get('/history', protect, async (req, res) => {
+// @desc    Clear the follow-up chat of a past analysis
+// @route   DELETE /api/ai/history/:id/chat
+// @access  Private
+const deleteChat = async (req, res) => {
   try {
-    const history = await AnalysisHistory.find({ user: req.user._id })
-      .sort({ createdAt: -1 });
-    // Map to include papersText and prompt for frontend
-    const mappedHistory = history.map(item => ({
-      ...item.toObject(),
-      papersText: item.papersText,
-      prompt: item.prompt
-    }));
-    res.json({ history: mappedHistory });
+    const item = await findOwnHistory(req, res, { _id: 1 });
+    if (!item) return;
+    await ChatThread.deleteOne({ analysis: item._id });
+    res.json({ message: 'Chat cleared' });
   } catch (error) {
-    console.error('Error fetching analysis history:', error);
-    res.status(500).json({ error: 'Failed to fetch analysis history' });
+    console.error('Error clearing chat:', error);
+    res.status(500).json({ error: 'Failed to clear chat' });
   }
-});
+};
+
+router.get('/history', protect, listHistory);
+router.get('/history/:id/export', protect, exportHistoryItem);
+router.get('/history/:id/chat', protect, getChat);
+router.post('/history/:id/chat', protect, rateLimit, insightsQuota, postChatMessage);
+router.delete('/history/:id/chat', protect, deleteChat);
+router.get('/history/:id', protect, getHistoryItem);
+router.put('/history/:id', protect, updateHistoryItem);
+router.delete('/history/:id', protect, deleteHistoryItem);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,80 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AnalysisHistory = require('../models/AnalysisHistory');
+const Question = require('../models/Question');
+const Syllabus = require('../models/Syllabus');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/usage');
+const { SIMILARITY_METHODS } = require('../services/similarity');
+const { TREND_SOURCES, analysisQuestions, topicTrends } = require('../services/trends');
+const { escapeRegex } = require('../utils/query');
+
+const router = express.Router();
+
+// Analyses read for one request, most recent first
+const MAX_ANALYSES = 100;
+
+// @desc    Topic frequency by year, rising and declining topics and the gap
+//          since each topic was last asked
+// @route   GET /api/analytics/trends?subject=&source=all|analyses|bank&syllabusId=&method=&threshold=
+// @access  Private
+const getTrends = async (req, res) => {
+  try {
+    const { syllabusId, method, threshold } = req.query;
+    const source = String(req.query.source || 'all').toLowerCase();
+    if (!TREND_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Invalid source, expected one of: ${TREND_SOURCES.join(', ')}` });
+    }
+    if (method !== undefined && !SIMILARITY_METHODS.includes(method)) {
+      return res.status(400).json({ error: `Invalid method, expected one of: ${SIMILARITY_METHODS.join(', ')}` });
+    }
+    if (threshold !== undefined && !(Number(threshold) > 0 && Number(threshold) <= 1)) {
+      return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+    }
+
+    let syllabus = null;
+    if (syllabusId) {
+      syllabus = mongoose.Types.ObjectId.isValid(syllabusId)
+        && await Syllabus.findOne({ _id: syllabusId, user: req.user._id }, { sourceText: 0 });
+      if (!syllabus) {
+        return res.status(404).json({ error: 'Syllabus not found' });
+      }
+    }
+    const subject = String(req.query.subject || (syllabus && syllabus.subject) || '').trim();
+    if (!subject) {
+      return res.status(400).json({ error: 'subject is required' });
+    }
+    const subjectPattern = new RegExp(`^${escapeRegex(subject)}$`, 'i');
+
+    const questions = [];
+    let analysisCount = 0;
+    if (source !== 'bank') {
+      const histories = await AnalysisHistory.find(
+        { user: req.user._id, 'papersInfo.subject': subjectPattern },
+        { papersText: 1, papersInfo: 1 }
+      ).sort({ createdAt: -1 }).limit(MAX_ANALYSES);
+      analysisCount = histories.length;
+      questions.push(...analysisQuestions(histories, subject));
+    }
+    if (source !== 'analyses') {
+      const bank = await Question.find({ user: req.user._id, subject: subjectPattern }).select('text year marks paper');
+      questions.push(...bank.map(({ text, year, marks, paper }) => ({ text, year, marks, paper })));
+    }
+
+    res.json({
+      subject,
+      source,
+      analyses: analysisCount,
+      syllabus: syllabus ? { _id: syllabus._id, title: syllabus.title } : undefined,
+      ...topicTrends(questions, { syllabus, method, threshold }),
+    });
+  } catch (error) {
+    console.error('Trends error:', error);
+    res.status(500).json({ error: 'Failed to compute topic trends' });
+  }
+};
+
+// Routes
+router.get('/trends', protect, rateLimit, getTrends);
+
+module.exports = router;
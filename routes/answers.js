@@ -0,0 +1,220 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ModelAnswer = require('../models/ModelAnswer');
+const { DIAGRAM_FORMATS } = require('../models/ModelAnswer');
+const Question = require('../models/Question');
+const AnalysisHistory = require('../models/AnalysisHistory');
+const { protect } = require('../middleware/auth');
+const { rateLimit, insightsQuota } = require('../middleware/usage');
+const llm = require('../services/llm');
+const { questionFromAnalysis, questionFromBank, getModelAnswer } = require('../services/modelAnswers');
+const { paginate } = require('../utils/query');
+
+const router = express.Router();
+
+// Enough of an analysis to find its questions
+const HISTORY_PROJECTION = { prompt: 0, papersText: 0 };
+
+const findOwn = async (Model, id, userId, projection) => (mongoose.Types.ObjectId.isValid(id)
+  ? Model.findOne({ _id: id, user: userId }, projection)
+  : null);
+
+const findOwnAnswer = async (req, res) => {
+  const answer = await findOwn(ModelAnswer, req.params.id, req.user._id);
+  if (!answer) {
+    res.status(404).json({ error: 'Answer not found' });
+    return null;
+  }
+  return answer;
+};
+
+// Returns an error message for unusable generation options, or null
+const validateOptions = ({ model = 'gemini', marks, diagramFormat }) => {
+  if (!llm.hasProvider(model)) {
+    return 'Invalid model specified';
+  }
+  if (marks !== undefined && !(Number(marks) > 0)) {
+    return 'marks must be a positive number';
+  }
+  if (diagramFormat !== undefined && !DIAGRAM_FORMATS.includes(diagramFormat)) {
+    return `Invalid diagramFormat, expected one of: ${DIAGRAM_FORMATS.join(', ')}`;
+  }
+  return null;
+};
+
+const parseFlag = (value) => (value === undefined ? undefined : value === true || value === 'true');
+
+const sendGenerationError = (res, error, model) => {
+  if (error.status === 502) {
+    return res.status(502).json({ error: error.message });
+  }
+  if (error instanceof llm.ProviderError) {
+    console.error(`${String(model).toUpperCase()} API Error:`, error);
+    return res.status(500).json({
+      error: `Error generating ${String(model).toUpperCase()} response`,
+      details: error.message,
+      fallbackAttempts: error.attempts
+    });
+  }
+  console.error('Model answer error:', error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+const sendAnswer = (res, { answer, cached }) => {
+  // Cached answers do not count against the quota
+  if (cached && res.locals.refundQuota) res.locals.refundQuota();
+  res.status(cached ? 200 : 201).json({ ...answer.toObject(), cached });
+};
+
+// @desc    Get or generate the model answer to a question-bank entry or a question of an analysis
+// @route   POST /api/answers
+// @access  Private
+const createAnswer = async (req, res) => {
+  const { questionId, analysisId, question, model = 'gemini', fallback = true } = req.body;
+  try {
+    const invalid = validateOptions(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const options = {
+      marks: req.body.marks !== undefined ? Number(req.body.marks) : undefined,
+      diagram: parseFlag(req.body.diagram),
+      diagramFormat: req.body.diagramFormat,
+    };
+
+    let spec;
+    if (questionId) {
+      const bankQuestion = await findOwn(Question, questionId, req.user._id);
+      if (!bankQuestion) {
+        return res.status(404).json({ error: 'Question not found' });
+      }
+      const analysis = bankQuestion.source && bankQuestion.source.analysis
+        ? await findOwn(AnalysisHistory, bankQuestion.source.analysis, req.user._id, HISTORY_PROJECTION)
+        : null;
+      spec = questionFromBank(bankQuestion, analysis, options);
+    } else if (analysisId && typeof question === 'string' && question.trim()) {
+      const analysis = await findOwn(AnalysisHistory, analysisId, req.user._id, HISTORY_PROJECTION);
+      if (!analysis) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+      spec = questionFromAnalysis(analysis, question, options);
+      if (!spec) {
+        return res.status(404).json({ error: 'Question not found in this analysis' });
+      }
+    } else {
+      return res.status(400).json({ error: 'Send a questionId, or an analysisId and the question text' });
+    }
+
+    const result = await getModelAnswer(req.user._id, spec, {
+      provider: model,
+      fallback,
+      regenerate: parseFlag(req.body.regenerate) === true
+    });
+    sendAnswer(res, result);
+  } catch (error) {
+    sendGenerationError(res, error, model);
+  }
+};
+
+// @desc    List generated answers
+// @route   GET /api/answers?questionId=&analysisId=&page=&limit=
+// @access  Private
+const listAnswers = async (req, res) => {
+  try {
+    const { questionId, analysisId } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = { user: req.user._id };
+    for (const [field, value] of [['source.question', questionId], ['source.analysis', analysisId]]) {
+      if (value === undefined) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ error: `Invalid ${field === 'source.question' ? 'questionId' : 'analysisId'}` });
+      }
+      filter[field] = value;
+    }
+
+    const [answers, total] = await Promise.all([
+      ModelAnswer.find(filter).sort({ updatedAt: -1 }).skip(skip).limit(limit),
+      ModelAnswer.countDocuments(filter)
+    ]);
+    res.json({ answers, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('List answers error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get a generated answer
+// @route   GET /api/answers/:id
+// @access  Private
+const getAnswer = async (req, res) => {
+  try {
+    const answer = await findOwnAnswer(req, res);
+    if (!answer) return;
+    res.json(answer);
+  } catch (error) {
+    console.error('Get answer error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Generate a new answer to the same question, replacing the old one
+// @route   POST /api/answers/:id/regenerate
+// @access  Private
+const regenerateAnswer = async (req, res) => {
+  const { model = 'gemini', fallback = true } = req.body;
+  try {
+    const invalid = validateOptions({ model });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const existing = await findOwnAnswer(req, res);
+    if (!existing) return;
+
+    const { text, marks, subject, diagramFormat } = existing.question;
+    const result = await getModelAnswer(req.user._id, { text, marks, subject, diagramFormat, source: existing.source }, {
+      provider: model,
+      fallback,
+      regenerate: true
+    });
+    sendAnswer(res, result);
+  } catch (error) {
+    sendGenerationError(res, error, model);
+  }
+};
+
+// @desc    Rate a generated answer from 1 to 5
+// @route   PUT /api/answers/:id/rating
+// @access  Private
+const rateAnswer = async (req, res) => {
+  try {
+    const value = Number(req.body.rating);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      return res.status(400).json({ error: 'rating must be a whole number from 1 to 5' });
+    }
+    const answer = await findOwnAnswer(req, res);
+    if (!answer) return;
+
+    answer.rating = {
+      value,
+      comment: req.body.comment ? String(req.body.comment).trim() : undefined,
+      ratedAt: new Date()
+    };
+    res.json(await answer.save());
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Rate answer error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Routes
+router.get('/', protect, listAnswers);
+router.post('/', protect, rateLimit, insightsQuota, createAnswer);
+router.get('/:id', protect, getAnswer);
+router.post('/:id/regenerate', protect, rateLimit, insightsQuota, regenerateAnswer);
+router.put('/:id/rating', protect, rateAnswer);
+
+module.exports = router;
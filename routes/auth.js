@@ -1,9 +1,33 @@
 const express = require('express');
 const User = require('../models/User');
-const { protect, generateToken } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { protect, optionalAuth } = require('../middleware/auth');
+const {
+  createSession,
+  findSessionByRefreshToken,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} = require('../services/sessions');
+const Session = require('../models/Session');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
 
 const router = express.Router();
 
+const requireEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Mail failures are logged but never fail the request that triggered them
+const sendVerification = async (user) => {
+  const token = user.createToken('emailVerification');
+  await user.save();
+  try {
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -25,15 +49,29 @@ const registerUser = async (req, res) => {
     });
 
     if (user) {
-      // Update last login
-      await user.updateLastLogin();
+      await sendVerification(user);
 
-      res.status(201).json({
+      const profile = {
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id)
+        emailVerified: user.emailVerified
+      };
+      // No session until the address is verified, as login would refuse one
+      if (requireEmailVerification()) {
+        return res.status(201).json({
+          ...profile,
+          message: 'Please verify your email address before logging in'
+        });
+      }
+
+      // Update last login
+      await user.updateLastLogin();
+
+      res.status(201).json({
+        ...profile,
+        ...(await createSession(user, req))
       });
     } else {
       res.status(400).json({ error: 'Invalid user data' });
@@ -69,6 +107,10 @@ const loginUser = async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    if (requireEmailVerification() && !user.emailVerified) {
+      return res.status(403).json({ error: 'Please verify your email address before logging in' });
+    }
+
     // Update last login
     await user.updateLastLogin();
 
@@ -77,7 +119,8 @@ const loginUser = async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
-      token: generateToken(user._id)
+      emailVerified: user.emailVerified,
+      ...(await createSession(user, req))
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -98,6 +141,7 @@ const getUserProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt
       });
@@ -121,18 +165,40 @@ const updateUserProfile = async (req, res) => {
       user.name = req.body.name || user.name;
       user.email = req.body.email || user.email;
 
-      if (req.body.password) {
+      // A new address has to be verified again
+      const emailChanged = user.isModified('email');
+      if (emailChanged) {
+        user.emailVerified = false;
+        user.emailVerifiedAt = undefined;
+      }
+
+      const passwordChanged = !!req.body.password;
+      if (passwordChanged) {
         user.password = req.body.password;
       }
 
       const updatedUser = await user.save();
 
+      if (emailChanged) {
+        await sendVerification(updatedUser);
+      }
+
+      // A new password ends every existing session, including this one;
+      // the caller gets fresh tokens for a new session
+      let tokens = {};
+      if (passwordChanged) {
+        const revoked = await revokeUserSessions(updatedUser._id, 'password changed');
+        console.log(`Password changed for user ${updatedUser._id}, revoked ${revoked} session(s)`);
+        tokens = await createSession(updatedUser, req);
+      }
+
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
         role: updatedUser.role,
-        token: generateToken(updatedUser._id)
+        emailVerified: updatedUser.emailVerified,
+        ...tokens
       });
     } else {
       res.status(404).json({ error: 'User not found' });
@@ -143,34 +209,235 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
-// @desc    Get all users (Admin only)
-// @route   GET /api/auth/users
-// @access  Private/Admin
-const getUsers = async (req, res) => {
+// @desc    Verify an email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findByToken('emailVerification', req.body.token);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.clearToken('emailVerification');
+    await user.save();
+
+    res.json({ message: 'Email verified', email: user.email, emailVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Server error during email verification' });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public (email in the body, or the logged in user)
+const resendVerification = async (req, res) => {
   try {
-    const users = await User.find({}).select('-password');
-    res.json(users);
+    // Unverified users cannot log in when verification is required, so the
+    // email identifies the account
+    const email = req.user ? req.user.email : req.body.email;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    const response = { message: 'If an unverified account exists for this email, a verification link has been sent' };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || !user.isActive || user.emailVerified) {
+      return res.json(response);
+    }
+
+    await sendVerification(user);
+    res.json(response);
   } catch (error) {
-    console.error('Get users error:', error);
+    console.error('Resend verification error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 };
 
-// @desc    Delete user (Admin only)
-// @route   DELETE /api/auth/users/:id
-// @access  Private/Admin
-const deleteUser = async (req, res) => {
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
 
-    if (user) {
-      await user.deleteOne();
-      res.json({ message: 'User removed' });
-    } else {
-      res.status(404).json({ error: 'User not found' });
+    // Same answer whether or not the account exists, so emails cannot be probed
+    const response = { message: 'If an account exists for this email, a reset link has been sent' };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    const token = user.createToken('passwordReset');
+    await user.save();
+    try {
+      await sendPasswordResetEmail(user, token);
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Set a new password with the token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    const user = await User.findByToken('passwordReset', token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    user.password = password;
+    user.clearToken('passwordReset');
+    // Receiving the reset email proves the address belongs to the user
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.clearToken('emailVerification');
+    }
+    await user.save();
+
+    const revoked = await revokeUserSessions(user._id, 'password reset');
+    console.log(`Password reset for user ${user._id}, revoked ${revoked} session(s)`);
+
+    res.json({ message: 'Password has been reset, please log in with the new password' });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error during password reset' });
+  }
+};
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshTokens = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const refreshed = await refreshSession(refreshToken);
+    if (!refreshed) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(refreshed.session.user);
+    if (!user || !user.isActive) {
+      await revokeSession(refreshed.session, 'user unavailable');
+      return res.status(401).json({ error: 'User account is deactivated' });
+    }
+    if (requireEmailVerification() && !user.emailVerified) {
+      await revokeSession(refreshed.session, 'email not verified');
+      return res.status(403).json({ error: 'Please verify your email address before logging in' });
+    }
+
+    res.json(refreshed.tokens);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Server error during token refresh' });
+  }
+};
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Public (refresh token in the body or access token in the header)
+const logoutUser = async (req, res) => {
+  try {
+    let session = req.authSession;
+
+    // Without an access token the refresh token identifies the session
+    if (!session && req.body.refreshToken) {
+      session = await findSessionByRefreshToken(req.body.refreshToken);
+    }
+
+    if (!session) {
+      return res.status(401).json({ error: 'Not authorized, no valid token' });
     }
+
+    await revokeSession(session, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error during logout' });
+  }
+};
+
+// @desc    Log out every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, 'logout all');
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Server error during logout' });
+  }
+};
+
+// @desc    List the active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.authSession._id)
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session, 'revoked by user');
+    res.json({ message: 'Session revoked' });
   } catch (error) {
-    console.error('Delete user error:', error);
+    console.error('Delete session error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 };
@@ -178,9 +445,16 @@ const deleteUser = async (req, res) => {
 // Routes
 router.post('/register', registerUser);
 router.post('/login', loginUser);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', optionalAuth, resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/refresh', refreshTokens);
+router.post('/logout', optionalAuth, logoutUser);
+router.post('/logout-all', protect, logoutAllSessions);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
 router.get('/profile', protect, getUserProfile);
 router.put('/profile', protect, updateUserProfile);
-router.get('/users', protect, getUsers);
-router.delete('/users/:id', protect, deleteUser);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,145 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AnalysisJob = require('../models/AnalysisJob');
+const { optionalAuth } = require('../middleware/auth');
+const { rateLimit, analysisQuota } = require('../middleware/usage');
+const { analysisRequestFromBody, validateAnalysisRequest } = require('../services/analysis');
+const { submitJob, subscribe } = require('../services/jobs');
+const { authorizeUploads, ownerFilter, hashToken } = require('../services/uploads');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 15000;
+
+// EventSource cannot send headers, so the SSE stream also accepts ?token=
+// and ?uploadToken=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  if (!req.headers['x-upload-token'] && typeof req.query.uploadToken === 'string') {
+    req.headers['x-upload-token'] = req.query.uploadToken;
+  }
+  next();
+};
+
+// Jobs are visible to the user who submitted them, or for anonymous jobs to
+// whoever sends the upload token they were submitted with
+const canAccessJob = (job, req) => {
+  if (job.user) {
+    return !!(req.user && job.user.equals(req.user._id));
+  }
+  const token = req.get('X-Upload-Token');
+  return !!(token && job.tokenHash && job.tokenHash === hashToken(token));
+};
+
+const findJob = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+
+  const job = await AnalysisJob.findById(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+
+  if (!canAccessJob(job, req)) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+
+  return job;
+};
+
+// @desc    Submit an analysis job
+// @route   POST /api/jobs
+// @access  Public
+const createJob = async (req, res) => {
+  try {
+    const request = analysisRequestFromBody(req.body, req.query);
+    const invalid = validateAnalysisRequest(request);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const forbidden = await authorizeUploads(request.papers, req);
+    if (forbidden) {
+      return res.status(404).json({ error: forbidden });
+    }
+
+    const job = await submitJob(request, ownerFilter(req));
+    res.status(202).json({ jobId: job._id, status: job.status, statusUrl: `/api/jobs/${job._id}` });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create job error:', error);
+    res.status(500).json({ error: 'Error creating analysis job' });
+  }
+};
+
+// @desc    Get the state of an analysis job
+// @route   GET /api/jobs/:id
+// @access  Public (submitter only: user or X-Upload-Token)
+const getJob = async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.json(job.toClient());
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Error fetching analysis job' });
+  }
+};
+
+// @desc    Stream analysis job progress as Server-Sent Events
+// @route   GET /api/jobs/:id/events
+// @access  Public (submitter only: user or X-Upload-Token)
+const streamJobEvents = async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (state) => {
+      res.write(`event: ${state.status}\n`);
+      res.write(`data: ${JSON.stringify(state)}\n\n`);
+      if (state.status === 'done' || state.status === 'failed') {
+        cleanup();
+        res.end();
+      }
+    };
+
+    const unsubscribe = subscribe(job._id, send);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    req.on('close', cleanup);
+
+    send(job.toClient());
+  } catch (error) {
+    console.error('Job events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error streaming analysis job' });
+    } else {
+      res.end();
+    }
+  }
+};
+
+router.post('/', optionalAuth, rateLimit, analysisQuota, createJob);
+router.get('/:id', optionalAuth, getJob);
+router.get('/:id/events', tokenFromQuery, optionalAuth, streamJobEvents);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AnalysisHistory = require('../models/AnalysisHistory');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/usage');
+const { buildMockPaper } = require('../services/mockPapers');
+const { renderMockPaperPdf } = require('../services/export/mockPaper');
+
+const router = express.Router();
+
+const MOCK_FORMATS = ['json', 'pdf'];
+const MAX_SEED_LENGTH = 100;
+
+// "DBMS Mock Paper" and seed 42 -> "DBMS-Mock-Paper-42.pdf"
+const pdfFileName = (mock) => `${`${mock.title} ${mock.seed}`
+  .replace(/[^\w\s-]/g, '')
+  .trim()
+  .replace(/[\s_]+/g, '-')
+  .slice(0, 80) || 'mock-paper'}.pdf`;
+
+// @desc    Build a practice paper from the papers of a past analysis
+// @route   POST /api/mock-papers?format=json|pdf
+// @access  Private
+const createMockPaper = async (req, res) => {
+  try {
+    const { analysisId, seed, templatePaper } = req.body;
+    const format = String(req.body.format || req.query.format || 'json').toLowerCase();
+    if (!MOCK_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format, expected one of: ${MOCK_FORMATS.join(', ')}` });
+    }
+    if (seed !== undefined && !((typeof seed === 'number' && Number.isFinite(seed))
+      || (typeof seed === 'string' && seed.trim() && seed.length <= MAX_SEED_LENGTH))) {
+      return res.status(400).json({ error: `seed must be a number or a string of up to ${MAX_SEED_LENGTH} characters` });
+    }
+    if (templatePaper !== undefined && !(Number.isInteger(Number(templatePaper)) && Number(templatePaper) > 0)) {
+      return res.status(400).json({ error: 'templatePaper must be a paper number' });
+    }
+
+    const history = mongoose.Types.ObjectId.isValid(analysisId)
+      ? await AnalysisHistory.findOne({ _id: analysisId, user: req.user._id }, { prompt: 0 })
+      : null;
+    if (!history) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const mock = buildMockPaper(history, { seed, templatePaper });
+    if (format === 'json') {
+      return res.json(mock);
+    }
+
+    const buffer = await renderMockPaperPdf(mock);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${pdfFileName(mock)}"`,
+      'Content-Length': buffer.length,
+      // Lets the client regenerate the same paper
+      'X-Mock-Paper-Seed': String(mock.seed)
+    });
+    res.send(buffer);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Mock paper error:', error);
+    res.status(500).json({ error: 'Failed to build mock paper' });
+  }
+};
+
+// Routes
+router.post('/', protect, rateLimit, createMockPaper);
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const { protect } = require('../middleware/auth');
+const { escapeRegex, paginate } = require('../utils/query');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['text', 'subject', 'year', 'paper', 'questionNumber', 'part', 'marks'];
+
+const pick = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+const findOwnQuestion = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Question not found' });
+    return null;
+  }
+  const question = await Question.findOne({ _id: req.params.id, user: req.user._id });
+  if (!question) {
+    res.status(404).json({ error: 'Question not found' });
+    return null;
+  }
+  return question;
+};
+
+const handleWriteError = (res, error, label) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'This question is already in your question bank' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @desc    Search the question bank
+// @route   GET /api/questions?subject=&year=&paper=&marks=&q=&page=&limit=
+// @access  Private
+const searchQuestions = async (req, res) => {
+  try {
+    const { subject, year, paper, marks, q } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = { user: req.user._id };
+    if (subject) filter.subject = new RegExp(`^${escapeRegex(subject)}$`, 'i');
+    if (paper) filter.paper = new RegExp(escapeRegex(paper), 'i');
+    if (year) {
+      const value = Number(year);
+      if (!Number.isInteger(value)) {
+        return res.status(400).json({ error: 'year must be a number' });
+      }
+      filter.year = value;
+    }
+    if (marks) {
+      const value = Number(marks);
+      if (!Number.isFinite(value)) {
+        return res.status(400).json({ error: 'marks must be a number' });
+      }
+      filter.marks = value;
+    }
+    if (q) filter.$text = { $search: q };
+
+    const sort = q
+      ? { score: { $meta: 'textScore' } }
+      : { year: -1, paper: 1, questionNumber: 1, part: 1 };
+    const projection = q ? { score: { $meta: 'textScore' } } : {};
+
+    const [questions, total] = await Promise.all([
+      Question.find(filter, projection).sort(sort).skip(skip).limit(limit),
+      Question.countDocuments(filter)
+    ]);
+
+    res.json({
+      questions,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Search questions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get a question from the bank
+// @route   GET /api/questions/:id
+// @access  Private
+const getQuestion = async (req, res) => {
+  try {
+    const question = await findOwnQuestion(req, res);
+    if (!question) return;
+    res.json(question);
+  } catch (error) {
+    console.error('Get question error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Add a question to the bank
+// @route   POST /api/questions
+// @access  Private
+const createQuestion = async (req, res) => {
+  try {
+    const question = await Question.create({ ...pick(req.body), user: req.user._id });
+    res.status(201).json(question);
+  } catch (error) {
+    handleWriteError(res, error, 'Create question');
+  }
+};
+
+// @desc    Update a question in the bank
+// @route   PUT /api/questions/:id
+// @access  Private
+const updateQuestion = async (req, res) => {
+  try {
+    const question = await findOwnQuestion(req, res);
+    if (!question) return;
+
+    question.set(pick(req.body));
+    const updatedQuestion = await question.save();
+    res.json(updatedQuestion);
+  } catch (error) {
+    handleWriteError(res, error, 'Update question');
+  }
+};
+
+// @desc    Delete a question from the bank
+// @route   DELETE /api/questions/:id
+// @access  Private
+const deleteQuestion = async (req, res) => {
+  try {
+    const question = await findOwnQuestion(req, res);
+    if (!question) return;
+
+    await question.deleteOne();
+    res.json({ message: 'Question removed' });
+  } catch (error) {
+    console.error('Delete question error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Routes
+router.get('/', protect, searchQuestions);
+router.post('/', protect, createQuestion);
+router.get('/:id', protect, getQuestion);
+router.put('/:id', protect, updateQuestion);
+router.delete('/:id', protect, deleteQuestion);
+
+module.exports = router;
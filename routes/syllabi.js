@@ -0,0 +1,234 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Syllabus = require('../models/Syllabus');
+const Question = require('../models/Question');
+const AnalysisHistory = require('../models/AnalysisHistory');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/usage');
+const { parsePapers } = require('../services/papers');
+const { authorizeUploads, removeUploadFiles } = require('../services/uploads');
+const { segmentQuestions } = require('../services/questions');
+const { splitPapersText } = require('../services/mockPapers');
+const { parseSyllabus, validateUnits, syllabusCoverage } = require('../services/syllabus');
+const { escapeRegex } = require('../utils/query');
+
+const router = express.Router();
+
+const MAX_TEXT_LENGTH = 100000;
+const LIST_PROJECTION = { sourceText: 0 };
+
+const normalizeUnits = (units) => units.map(unit => ({
+  number: Number(unit.number),
+  title: String(unit.title || '').trim(),
+  topics: unit.topics.map(topic => topic.trim()).filter(Boolean),
+}));
+
+const findOwnSyllabus = async (req, res, projection) => {
+  const syllabus = mongoose.Types.ObjectId.isValid(req.params.id)
+    && await Syllabus.findOne({ _id: req.params.id, user: req.user._id }, projection);
+  if (!syllabus) {
+    res.status(404).json({ error: 'Syllabus not found' });
+    return null;
+  }
+  return syllabus;
+};
+
+// Past questions to map: those of one analysis, or every question of a
+// subject in the question bank. Resolves to null when the analysis is not found.
+const coverageQuestions = async (userId, { analysisId, subject }) => {
+  if (analysisId) {
+    const history = mongoose.Types.ObjectId.isValid(analysisId)
+      && await AnalysisHistory.findOne({ _id: analysisId, user: userId }, { papersText: 1, papersInfo: 1 });
+    if (!history) return null;
+
+    const saved = await Question.find({ user: userId, 'source.analysis': history._id }).select('text year marks paper');
+    if (saved.length > 0) {
+      return saved.map(({ text, year, marks, paper }) => ({ text, year, marks, paper }));
+    }
+    // Analyses run with saveQuestions=false only have their papers text
+    return splitPapersText(history.papersText).flatMap(paper => {
+      const info = (history.papersInfo || [])[paper.number - 1] || {};
+      return segmentQuestions(paper.text).map(question => ({
+        text: question.text,
+        year: info.year,
+        marks: question.marks === null ? undefined : question.marks,
+        paper: info.originalName,
+      }));
+    });
+  }
+
+  const questions = await Question.find({ user: userId, subject: new RegExp(`^${escapeRegex(subject)}$`, 'i') })
+    .select('text year marks paper');
+  return questions.map(({ text, year, marks, paper }) => ({ text, year, marks, paper }));
+};
+
+// @desc    Add a syllabus from pasted text or an uploaded PDF
+// @route   POST /api/syllabi
+// @access  Private
+const createSyllabus = async (req, res) => {
+  try {
+    const { text, fileId, originalName, ocrLanguages, title, subject, courseCode, units } = req.body;
+    if (!text && !fileId) {
+      return res.status(400).json({ error: 'Send the syllabus text, or the fileId of an uploaded PDF' });
+    }
+    if (text && String(text).length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ error: `Syllabus text cannot exceed ${MAX_TEXT_LENGTH} characters` });
+    }
+    if (units !== undefined) {
+      const invalid = validateUnits(units);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+
+    let sourceText = text ? String(text) : '';
+    if (!sourceText) {
+      const paper = { fileId, originalName: originalName || 'syllabus.pdf', ocrLanguages };
+      const forbidden = await authorizeUploads([paper], req);
+      if (forbidden) {
+        return res.status(404).json({ error: forbidden });
+      }
+      // Same extraction as analyzed papers: text layer, OCR and the extraction cache
+      const [parsed] = await parsePapers([paper]);
+      removeUploadFiles([fileId]);
+      if (!parsed || !parsed.text.trim()) {
+        return res.status(400).json({ error: 'No text could be extracted from the syllabus' });
+      }
+      sourceText = parsed.text;
+    }
+
+    const parsedUnits = units !== undefined ? normalizeUnits(units) : parseSyllabus(sourceText);
+    if (parsedUnits.length === 0) {
+      return res.status(400).json({
+        error: 'No units found in the syllabus. Units should start with headings like "Unit 1" or "Module II", or be sent as units.'
+      });
+    }
+
+    const syllabus = await Syllabus.create({
+      user: req.user._id,
+      title,
+      subject,
+      courseCode,
+      units: parsedUnits,
+      sourceText,
+      originalName: fileId ? originalName : undefined,
+    });
+    res.status(201).json(syllabus);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create syllabus error:', error);
+    res.status(500).json({ error: 'Failed to add syllabus' });
+  }
+};
+
+// @desc    List the user's syllabi
+// @route   GET /api/syllabi
+// @access  Private
+const listSyllabi = async (req, res) => {
+  try {
+    const syllabi = await Syllabus.find({ user: req.user._id }, LIST_PROJECTION).sort({ createdAt: -1 });
+    res.json({ syllabi });
+  } catch (error) {
+    console.error('List syllabi error:', error);
+    res.status(500).json({ error: 'Failed to fetch syllabi' });
+  }
+};
+
+// @desc    Get a syllabus with its source text
+// @route   GET /api/syllabi/:id
+// @access  Private
+const getSyllabus = async (req, res) => {
+  try {
+    const syllabus = await findOwnSyllabus(req, res);
+    if (!syllabus) return;
+    res.json(syllabus);
+  } catch (error) {
+    console.error('Get syllabus error:', error);
+    res.status(500).json({ error: 'Failed to fetch syllabus' });
+  }
+};
+
+// @desc    Rename a syllabus or correct its units
+// @route   PUT /api/syllabi/:id
+// @access  Private
+const updateSyllabus = async (req, res) => {
+  try {
+    const { title, subject, courseCode, units } = req.body;
+    if (units !== undefined) {
+      const invalid = validateUnits(units);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+    const syllabus = await findOwnSyllabus(req, res);
+    if (!syllabus) return;
+
+    if (title !== undefined) syllabus.title = title;
+    if (subject !== undefined) syllabus.subject = subject;
+    if (courseCode !== undefined) syllabus.courseCode = courseCode;
+    if (units !== undefined) syllabus.units = normalizeUnits(units);
+    res.json(await syllabus.save());
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update syllabus error:', error);
+    res.status(500).json({ error: 'Failed to update syllabus' });
+  }
+};
+
+// @desc    Delete a syllabus
+// @route   DELETE /api/syllabi/:id
+// @access  Private
+const deleteSyllabus = async (req, res) => {
+  try {
+    const syllabus = await findOwnSyllabus(req, res, { _id: 1 });
+    if (!syllabus) return;
+    await syllabus.deleteOne();
+    res.json({ message: 'Syllabus removed' });
+  } catch (error) {
+    console.error('Delete syllabus error:', error);
+    res.status(500).json({ error: 'Failed to delete syllabus' });
+  }
+};
+
+// @desc    Map past questions to the syllabus units
+// @route   GET /api/syllabi/:id/coverage?analysisId=&subject=
+// @access  Private
+const getCoverage = async (req, res) => {
+  try {
+    const syllabus = await findOwnSyllabus(req, res, LIST_PROJECTION);
+    if (!syllabus) return;
+
+    const { analysisId } = req.query;
+    const subject = req.query.subject || syllabus.subject;
+    if (!analysisId && !subject) {
+      return res.status(400).json({ error: 'Send an analysisId or a subject, or set the subject of the syllabus' });
+    }
+    const questions = await coverageQuestions(req.user._id, { analysisId, subject });
+    if (!questions) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    res.json({
+      syllabus: { _id: syllabus._id, title: syllabus.title, subject: syllabus.subject },
+      source: analysisId ? { analysisId } : { subject },
+      ...syllabusCoverage(syllabus, questions),
+    });
+  } catch (error) {
+    console.error('Syllabus coverage error:', error);
+    res.status(500).json({ error: 'Failed to map questions to the syllabus' });
+  }
+};
+
+// Routes
+router.get('/', protect, listSyllabi);
+router.post('/', protect, rateLimit, createSyllabus);
+router.get('/:id/coverage', protect, getCoverage);
+router.get('/:id', protect, getSyllabus);
+router.put('/:id', protect, updateSyllabus);
+router.delete('/:id', protect, deleteSyllabus);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const fs = require('fs');
+const Upload = require('../models/Upload');
+const { optionalAuth } = require('../middleware/auth');
+const { isValidFileId, uploadPath } = require('../services/papers');
+const { ownerFilter, canAccessUpload, removeUploadFiles } = require('../services/uploads');
+
+const router = express.Router();
+
+// Uploads are owned by a user or an upload token; others get a 404 so file
+// ids cannot be probed
+const findOwnUpload = async (req, res) => {
+  const upload = isValidFileId(req.params.fileId) && await Upload.findOne({ fileId: req.params.fileId });
+  if (!upload || !canAccessUpload(upload, req)) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  return upload;
+};
+
+// @desc    List your uploads that have not been analyzed yet
+// @route   GET /api/uploads
+// @access  Public (user or X-Upload-Token)
+const listUploads = async (req, res) => {
+  try {
+    const filter = ownerFilter(req);
+    if (!filter) {
+      return res.json({ uploads: [] });
+    }
+    const uploads = await Upload.find(filter).select('-tokenHash -ip').sort({ createdAt: -1 });
+    res.json({ uploads });
+  } catch (error) {
+    console.error('List uploads error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Download an uploaded paper
+// @route   GET /api/uploads/:fileId
+// @access  Public (owner or admin)
+const downloadUpload = async (req, res) => {
+  try {
+    const upload = await findOwnUpload(req, res);
+    if (!upload) return;
+
+    const filePath = uploadPath(upload.fileId);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(upload.originalName);
+    res.type('application/pdf');
+    fs.createReadStream(filePath).pipe(res);
+  } catch (error) {
+    console.error('Download upload error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Delete an uploaded paper without analyzing it
+// @route   DELETE /api/uploads/:fileId
+// @access  Public (owner or admin)
+const deleteUpload = async (req, res) => {
+  try {
+    const upload = await findOwnUpload(req, res);
+    if (!upload) return;
+
+    removeUploadFiles([upload.fileId]);
+    res.json({ message: 'Upload removed' });
+  } catch (error) {
+    console.error('Delete upload error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Routes
+router.get('/', optionalAuth, listUploads);
+router.get('/:fileId', optionalAuth, downloadUpload);
+router.delete('/:fileId', optionalAuth, deleteUpload);
+
+module.exports = router;
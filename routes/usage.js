@@ -0,0 +1,22 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { usageSubject, usageReport } = require('../services/usage');
+
+const router = express.Router();
+
+// @desc    Get your plan, quota usage and what is left this day and month
+// @route   GET /api/usage
+// @access  Public (anonymous usage is counted per IP)
+const getUsage = async (req, res) => {
+  try {
+    res.json(await usageReport(usageSubject(req)));
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Routes
+router.get('/', optionalAuth, getUsage);
+
+module.exports = router;
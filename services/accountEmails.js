@@ -0,0 +1,40 @@
+const { sendMail } = require('./mail');
+
+// Links in account emails point at the client app, which posts the token back
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+  const hours = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your PYQuer email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      link,
+      '',
+      `The link expires in ${hours} hour(s). If you did not create a PYQuer account, you can ignore this email.`
+    ].join('\n')
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+  const minutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your PYQuer password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Open this link to choose a new one:',
+      link,
+      '',
+      `The link expires in ${minutes} minute(s) and can be used once. If you did not ask for a reset, you can ignore this email.`
+    ].join('\n')
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
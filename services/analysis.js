@@ -0,0 +1,279 @@
+const AnalysisHistory = require('../models/AnalysisHistory');
+const llm = require('./llm');
+const { parsePapers } = require('./papers');
+const { removeUploadFiles } = require('./uploads');
+const { isMathSubject, generatePrompt, generateJsonPrompt, buildPapersText } = require('./prompt');
+const { generateStructuredAnalysis, mergeRepetitions } = require('./structuredAnalysis');
+const { planAnalysis, analyzeInChunks } = require('./chunkedAnalysis');
+const { structuredBlocks } = require('./export/blocks');
+const { blocksToMarkdown } = require('./export/markdown');
+const { SIMILARITY_METHODS, detectRepeatedQuestions } = require('./similarity');
+const { saveToQuestionBank } = require('./questionBank');
+const { parseLanguages, validateLanguages } = require('./ocr');
+const { METADATA_FIELDS, validateMetadata } = require('./metadata');
+
+const ANALYSIS_FORMATS = ['markdown', 'json'];
+// 'local' finds repeated questions with services/similarity.js and lets the
+// model only label them; 'llm' leaves the whole section to the model
+const REPETITION_DETECTION = ['local', 'llm'];
+
+// Analysis options from a /api/analyze or /api/jobs request
+const analysisRequestFromBody = (body = {}, query = {}) => ({
+  papers: body.papers,
+  model: body.model || 'gemini',
+  fallback: body.fallback !== undefined ? body.fallback : true,
+  format: body.format || query.format || 'markdown',
+  repetitionDetection: body.repetitionDetection || 'local',
+  similarityMethod: body.similarityMethod,
+  similarityThreshold: body.similarityThreshold,
+  saveQuestions: body.saveQuestions !== undefined ? body.saveQuestions : true,
+  // Skip the LLM response cache and ask the model again
+  forceRefresh: body.forceRefresh === true || body.forceRefresh === 'true' || query.forceRefresh === 'true',
+});
+
+// Returns an error message for an unusable request, or null
+const validateAnalysisRequest = (request) => {
+  if (!Array.isArray(request.papers) || request.papers.length === 0) {
+    return 'No papers provided for analysis';
+  }
+  if (!request.papers.every(paper => paper && typeof paper === 'object')) {
+    return 'Each paper must be an object with a fileId';
+  }
+  if (!llm.hasProvider(request.model)) {
+    return 'Invalid model specified';
+  }
+  for (const paper of request.papers) {
+    // Checked here rather than when the history is saved, after the model was paid for
+    const metadata = {};
+    for (const field of METADATA_FIELDS) {
+      if (paper[field] !== undefined && paper[field] !== null && paper[field] !== '') metadata[field] = paper[field];
+    }
+    const invalid = validateMetadata(metadata)
+      || (paper.ocrLanguages !== undefined && validateLanguages(parseLanguages(paper.ocrLanguages)));
+    if (invalid) {
+      return `${paper.originalName || paper.fileId}: ${invalid}`;
+    }
+  }
+  if (!ANALYSIS_FORMATS.includes(request.format)) {
+    return `Invalid format, expected one of: ${ANALYSIS_FORMATS.join(', ')}`;
+  }
+  if (!REPETITION_DETECTION.includes(request.repetitionDetection)) {
+    return `Invalid repetitionDetection, expected one of: ${REPETITION_DETECTION.join(', ')}`;
+  }
+  if (request.similarityMethod !== undefined && !SIMILARITY_METHODS.includes(request.similarityMethod)) {
+    return `Invalid similarityMethod, expected one of: ${SIMILARITY_METHODS.join(', ')}`;
+  }
+  if (request.similarityThreshold !== undefined) {
+    const threshold = Number(request.similarityThreshold);
+    if (!(threshold > 0 && threshold <= 1)) {
+      return 'similarityThreshold must be a number between 0 and 1';
+    }
+  }
+  return null;
+};
+
+// Section 1 of a markdown analysis and where section 2 starts
+const REPEATED_HEADING = /^[#*\s]*1\.\s*Repeated Questions/i;
+const NEXT_SECTION = /^[#*\s]*2\.\s/;
+const GROUP_LABEL = /^\**Group\s+(\d+)\**\s*[:.)-]?\s*(.*)$/i;
+
+// Rewrites section 1 of a markdown analysis as a table of the locally
+// detected clusters, keeping only the label the model wrote for each group.
+// Rows without a group number are matched to the clusters by position.
+const mergeMarkdownRepetitions = (markdown, clusters) => {
+  if (!clusters) return markdown;
+  const lines = markdown.split('\n');
+  const start = lines.findIndex(line => REPEATED_HEADING.test(line.trim()));
+  const end = start === -1 ? -1 : lines.findIndex((line, index) => index > start && NEXT_SECTION.test(line.trim()));
+  const sectionEnd = end === -1 ? lines.length : end;
+
+  const labels = new Map();
+  if (start !== -1) {
+    lines.slice(start + 1, sectionEnd)
+      .filter(line => line.trim().startsWith('|') && !/^\|?[\s:|-]+$/.test(line.trim()))
+      .slice(1)
+      .forEach((row, index) => {
+        const cell = row.trim().replace(/^\|/, '').split('|')[0].trim();
+        const group = GROUP_LABEL.exec(cell);
+        const id = group ? Number(group[1]) : clusters[index] && clusters[index].id;
+        const label = group ? group[2].trim() : cell;
+        if (id !== undefined && label && !labels.has(id)) labels.set(id, label);
+      });
+  }
+
+  const table = clusters.length === 0
+    ? 'No repeated or semantically similar questions found across the papers.'
+    : blocksToMarkdown([{
+      type: 'table',
+      headers: ['Question', 'Repeated Count', 'Papers Appeared'],
+      rows: clusters.map(cluster => [
+        labels.get(cluster.id) || cluster.representative,
+        String(cluster.count),
+        cluster.papers.map(paper => `Paper ${paper}`).join(', '),
+      ]),
+    }]);
+  const section = [start === -1 ? '1. Repeated Questions Analysis:' : lines[start], table, ''];
+  return start === -1
+    ? [...section, markdown].join('\n')
+    : [...lines.slice(0, start), ...section, ...lines.slice(sectionEnd)].join('\n');
+};
+
+const removeUploads = (papers) => {
+  if (!Array.isArray(papers)) return;
+  removeUploadFiles(papers.map(paper => paper.fileId));
+};
+
+// Full analysis pipeline shared by POST /api/analyze and background jobs:
+// extract text, build the prompt, call the model, save history and the
+// question bank for `userId` and remove the uploaded files. Resolves to the response payload.
+// With format 'json' the model is asked for, and re-prompted until it returns,
+// the schema in services/structuredAnalysis.js. Paper sets too large for one
+// request are analyzed in chunks (services/chunkedAnalysis.js) and a markdown
+// analysis is then rendered from the merged result.
+// `onToken(text)` receives a markdown analysis as the model writes it (in one
+// piece when it was chunked); the returned analysis has section 1 rebuilt
+// from the detected clusters. JSON analyses are only returned once validated.
+// Errors carry a `status` of 400 when the request itself is unusable.
+const analyzePapers = async (request, { userId, onProgress = () => {}, onToken } = {}) => {
+  const { papers, model = 'gemini', fallback = true, format = 'markdown', repetitionDetection = 'local', forceRefresh = false } = request;
+  const parsedPapers = await parsePapers(papers, onProgress);
+  if (parsedPapers.length === 0) {
+    const error = new Error('No valid papers found for analysis');
+    error.status = 400;
+    throw error;
+  }
+
+  const papersText = buildPapersText(parsedPapers);
+
+  const repetitions = repetitionDetection === 'local'
+    ? detectRepeatedQuestions(parsedPapers, {
+      method: request.similarityMethod,
+      threshold: request.similarityThreshold
+    })
+    : null;
+  const clusters = repetitions ? repetitions.clusters : undefined;
+  if (repetitions) {
+    console.log(`Detected ${clusters.length} repeated question group(s) in ${repetitions.questionCount} questions (${repetitions.method} >= ${repetitions.threshold})`);
+  }
+
+  const isJson = format === 'json';
+  const isMath = isMathSubject(parsedPapers);
+  const buildPrompt = (text) => (isJson
+    ? generateJsonPrompt(text, isMath, clusters)
+    : generatePrompt(text, isMath, clusters));
+  const prompt = buildPrompt(papersText);
+  const { needsChunking, ...estimates } = planAnalysis(parsedPapers, {
+    provider: model,
+    template: buildPrompt(''),
+    chunkTemplate: generateJsonPrompt('', isMath, clusters),
+  });
+
+  let result;
+  let analysis;
+  let structured;
+  if (needsChunking) {
+    result = await analyzeInChunks(parsedPapers, estimates, { provider: model, fallback, forceRefresh, clusters, isMath, onProgress });
+    structured = isJson ? result.structured : undefined;
+    analysis = isJson
+      ? JSON.stringify(result.structured, null, 2)
+      : blocksToMarkdown(structuredBlocks(result.structured));
+    if (onToken && !isJson) onToken(analysis);
+  } else {
+    onProgress({ stage: 'calling_model', provider: model });
+    result = isJson
+      ? await generateStructuredAnalysis(prompt, parsedPapers.length, { provider: model, fallback, forceRefresh })
+      : await llm.generate(prompt, { provider: model, fallback, forceRefresh, onToken });
+    analysis = isJson ? result.text : mergeMarkdownRepetitions(result.text, clusters);
+    structured = isJson ? mergeRepetitions(result.structured, clusters) : undefined;
+  }
+  const answeredBy = result.provider;
+
+  // How the request fit the provider's limits, and whether any answer was
+  // cut off at maxTokens
+  const truncation = needsChunking
+    ? {
+      ...estimates,
+      chunked: true,
+      ...result.report,
+      truncated: result.report.truncatedChunks.length > 0 || result.report.mergeTruncated,
+    }
+    : { ...estimates, chunked: false, truncated: !!result.truncated };
+  if (truncation.truncated) {
+    console.warn(`Analysis by ${answeredBy} was cut off at ${truncation.outputTokens} output tokens`);
+  }
+  if (answeredBy !== model.toLowerCase()) {
+    console.log(`Analysis requested from ${model} was answered by ${answeredBy}`);
+  }
+
+  console.log(`\n=== Raw ${answeredBy.toUpperCase()} Analysis Response ===\n`);
+  console.log(analysis);
+  console.log('\n===================================\n');
+
+  let questionBank;
+  if (userId) {
+    console.log('Saving analysis history for user:', userId);
+    const history = await AnalysisHistory.create({
+      user: userId,
+      papersInfo: parsedPapers.map(p => ({
+        originalName: p.originalName,
+        subject: p.subject,
+        year: p.year,
+        examSession: p.examSession,
+        university: p.university,
+        courseCode: p.courseCode,
+        needsOCR: p.needsOCR
+      })),
+      prompt,
+      papersText,
+      analysis,
+      format,
+      structured,
+      truncation,
+      modelUsed: answeredBy,
+    });
+    console.log('Analysis history saved for user:', userId);
+
+    // The uploads are removed below, so keep their questions in the bank
+    if (request.saveQuestions !== false) {
+      try {
+        questionBank = await saveToQuestionBank(parsedPapers, { userId, analysisId: history._id });
+        console.log(`Question bank for user ${userId}: ${questionBank.saved} added, ${questionBank.duplicates} already present`);
+      } catch (bankError) {
+        console.error('Failed to save questions to the question bank:', bankError);
+      }
+    }
+  }
+
+  removeUploads(papers);
+
+  return {
+    analysis: analysis,
+    format,
+    ...(isJson && {
+      structured,
+      structuredRepairs: result.repairs,
+      structuredErrors: result.errors
+    }),
+    repeatedQuestions: repetitions || undefined, // Locally detected groups
+    questionBank,
+    model: answeredBy, // Provider that actually answered
+    requestedModel: model,
+    providerModel: result.model,
+    fallbackAttempts: result.attempts,
+    cached: !!result.cached, // Answered from the LLM response cache
+    truncation, // Token estimates, chunking and cut off answers
+    timestamp: new Date().toISOString(),
+    papers: parsedPapers.map(paper => ({
+      originalName: paper.originalName, // Return original name to client
+      contentHash: paper.contentHash,
+      cacheHit: paper.cacheHit,
+      extraction: paper.extraction, // Method used for each page (text layer or OCR)
+      ocr: paper.ocr, // Per-page confidence, with lowConfidencePages flagged
+      ocrLanguages: paper.ocrLanguages
+    })),
+    papersText: papersText, // Add raw papersText to response
+    prompt: prompt // Add prompt template to response
+  };
+};
+
+module.exports = { analysisRequestFromBody, validateAnalysisRequest, analyzePapers, removeUploads };
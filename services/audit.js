@@ -0,0 +1,19 @@
+const AuditLog = require('../models/AuditLog');
+
+// Records an admin action. A failure to write the log is reported but does
+// not fail the action itself, which has already happened.
+const recordAudit = async (req, action, target = {}, details) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      action,
+      target,
+      details,
+      ip: req.ip,
+    });
+  } catch (error) {
+    console.error(`Failed to record audit log for ${action}:`, error);
+  }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,111 @@
+const ChatThread = require('../models/ChatThread');
+const llm = require('./llm');
+const { estimateTokens, truncateToTokens, tokenLimits } = require('./llm/tokens');
+const { generateChatPrompt, generateChatSummaryPrompt } = require('./prompt');
+
+// Follow-up chat about a saved analysis. Every prompt carries the entry's
+// papers and analysis, the summary of older messages and as many recent
+// messages as fit HISTORY_SHARE of the provider's prompt budget; messages
+// that no longer fit are folded into the summary.
+
+const HISTORY_SHARE = 0.25;
+// Per message overhead of the "Student:" / "Assistant:" labels
+const TURN_OVERHEAD_TOKENS = 5;
+const MAX_QUESTION_LENGTH = 4000;
+
+// Index of the first of the latest `messages` that fit in `budget` tokens
+const recentStart = (messages, budget, provider) => {
+  let start = messages.length;
+  let tokens = 0;
+  while (start > 0) {
+    const next = estimateTokens(messages[start - 1].content, provider) + TURN_OVERHEAD_TOKENS;
+    if (tokens + next > budget) break;
+    tokens += next;
+    start -= 1;
+  }
+  return start;
+};
+
+// New summary covering `summary` and `messages`. When the summary cannot be
+// written the messages are dropped and the old summary is kept.
+const summarize = async (summary, messages, { provider, fallback }) => {
+  // Only the newest of a very long backlog fit in one summary request
+  const budget = Math.floor(tokenLimits(provider).promptTokens * 0.8) - estimateTokens(summary, provider);
+  const included = messages.slice(recentStart(messages, budget, provider));
+  try {
+    const result = await llm.generate(generateChatSummaryPrompt(summary, included), { provider, fallback });
+    return result.text.trim() || summary;
+  } catch (error) {
+    console.warn('Chat summary failed, dropping older messages:', error.message);
+    return summary;
+  }
+};
+
+// The analysis is kept whole where possible, the papers get the rest
+const fitGrounding = (history, budget, provider) => {
+  const analysisTokens = estimateTokens(history.analysis, provider);
+  const papersTokens = estimateTokens(history.papersText, provider);
+  const analysisBudget = analysisTokens + papersTokens <= budget
+    ? analysisTokens
+    : Math.min(analysisTokens, Math.max(Math.floor(budget / 2), budget - papersTokens));
+  const analysis = truncateToTokens(history.analysis, analysisBudget, provider);
+  const papersText = truncateToTokens(history.papersText, budget - analysisBudget, provider);
+  return {
+    analysis: analysis.text,
+    papersText: papersText.text,
+    analysisTruncated: analysis.truncated,
+    papersTextTruncated: papersText.truncated,
+  };
+};
+
+// Answers `question` about the saved `history` entry and appends both
+// messages to its thread. Resolves to the assistant's message with the
+// answering provider and how much of the context had to be cut.
+const askAboutAnalysis = async (history, userId, question, { provider = 'gemini', fallback = true, forceRefresh = false } = {}) => {
+  const thread = await ChatThread.findOneAndUpdate(
+    { analysis: history._id },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true }
+  );
+  const { promptTokens } = tokenLimits(provider);
+
+  let { summary, summarizedCount } = thread;
+  const pending = thread.messages.slice(summarizedCount);
+  const start = recentStart(pending, Math.floor(promptTokens * HISTORY_SHARE), provider);
+  if (start > 0) {
+    summary = await summarize(summary, pending.slice(0, start), { provider, fallback });
+    summarizedCount += start;
+  }
+  const messages = pending.slice(start);
+
+  const template = generateChatPrompt({ papersText: '', analysis: '', summary, messages, question });
+  const grounding = fitGrounding(history, Math.max(promptTokens - estimateTokens(template, provider), 0), provider);
+  const prompt = generateChatPrompt({ ...grounding, summary, messages, question });
+
+  const result = await llm.generate(prompt, { provider, fallback, forceRefresh });
+  const now = new Date();
+  const userMessage = { role: 'user', content: question, createdAt: now };
+  const reply = { role: 'assistant', content: result.text.trim(), provider: result.provider, model: result.model, createdAt: now };
+  await ChatThread.updateOne({ _id: thread._id }, {
+    $push: { messages: { $each: [userMessage, reply] } },
+    $set: { summary },
+    $max: { summarizedCount },
+  });
+
+  return {
+    message: reply,
+    model: result.provider,
+    requestedModel: provider,
+    cached: !!result.cached,
+    truncated: !!result.truncated,
+    fallbackAttempts: result.attempts,
+    context: {
+      recentMessages: messages.length,
+      summarizedMessages: summarizedCount,
+      analysisTruncated: grounding.analysisTruncated,
+      papersTextTruncated: grounding.papersTextTruncated,
+    },
+  };
+};
+
+module.exports = { MAX_QUESTION_LENGTH, askAboutAnalysis };
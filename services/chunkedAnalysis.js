@@ -0,0 +1,374 @@
+const llm = require('./llm');
+const { SAFETY_MARGIN, estimateTokens, tokenLimits } = require('./llm/tokens');
+const { generateJsonPrompt, generateMergePrompt, buildPapersText } = require('./prompt');
+const { extractJson, generateStructuredAnalysis, mergeRepetitions } = require('./structuredAnalysis');
+
+// Map-reduce analysis for paper sets too large for one request. Papers are
+// packed into chunks that fit the provider's context window and answer size,
+// every chunk is analyzed as format=json, the results are combined locally
+// and a merge pass asks the model to group repeated questions across chunks
+// and write recommendations for the whole set.
+
+// An answer restates most of its input: section 4 lists every remaining
+// question verbatim
+const OUTPUT_PER_INPUT_TOKEN = 1.2;
+const OUTPUT_OVERHEAD_TOKENS = 1000;
+const MIN_CHUNK_TOKENS = 500;
+// Recommendations and predictions kept when chunks are combined without a merge pass
+const MAX_COMBINED_ITEMS = 10;
+
+const chunkingEnabled = () => process.env.ANALYSIS_CHUNKING !== 'off';
+
+// Paper tokens one request can take: what fits next to the instructions in
+// the prompt, and what the answer can restate within maxTokens
+const chunkBudget = (provider, templateTokens) => {
+  const limits = tokenLimits(provider);
+  const byPrompt = limits.promptTokens - templateTokens;
+  const byOutput = ((limits.outputTokens - OUTPUT_OVERHEAD_TOKENS) / OUTPUT_PER_INPUT_TOKEN) * SAFETY_MARGIN;
+  return Math.max(Math.floor(Math.min(byPrompt, byOutput)), MIN_CHUNK_TOKENS);
+};
+
+// Token estimates for a request and whether it has to be chunked.
+// `template` is the prompt without the papers, `chunkTemplate` the JSON
+// prompt every chunk is sent with (generateJsonPrompt), which sizes the chunks.
+const planAnalysis = (parsedPapers, { provider, template, chunkTemplate = template }) => {
+  const limits = tokenLimits(provider);
+  const templateTokens = estimateTokens(template, provider);
+  const paperTokens = estimateTokens(buildPapersText(parsedPapers), provider);
+  const chunkTokens = chunkBudget(provider, estimateTokens(chunkTemplate, provider));
+  return {
+    provider,
+    estimatedPromptTokens: templateTokens + paperTokens,
+    promptTokens: limits.promptTokens,
+    estimatedOutputTokens: Math.ceil(paperTokens * OUTPUT_PER_INPUT_TOKEN + OUTPUT_OVERHEAD_TOKENS),
+    outputTokens: limits.outputTokens,
+    chunkTokens,
+    needsChunking: chunkingEnabled() && paperTokens > chunkBudget(provider, templateTokens),
+  };
+};
+
+const QUESTION_START = /^\s*(?:q(?:uestion)?\s*[.-]?\s*)?\d{1,2}\s*[.)]/i;
+const SENTENCE_END = /(?<=[.?!])\s+/;
+
+// Pieces of at most `maxTokens` of a line too long for one part (OCR and
+// text layers often have no line breaks): whole sentences where possible,
+// else fixed runs of characters
+const splitLongLine = (line, maxTokens, provider) => {
+  const pieces = [];
+  let current = '';
+  const push = (text) => {
+    if (estimateTokens(text, provider) <= maxTokens) {
+      pieces.push(text);
+      return;
+    }
+    const chars = Math.max(Math.floor(text.length * maxTokens / estimateTokens(text, provider)), 1);
+    for (let start = 0; start < text.length; start += chars) {
+      pieces.push(text.slice(start, start + chars));
+    }
+  };
+  for (const sentence of line.split(SENTENCE_END)) {
+    const joined = current ? `${current} ${sentence}` : sentence;
+    if (current && estimateTokens(joined, provider) > maxTokens) {
+      push(current);
+      current = sentence;
+    } else {
+      current = joined;
+    }
+  }
+  if (current) push(current);
+  return pieces;
+};
+
+// Splits a paper into parts of at most `maxTokens`, preferring to break
+// where a question starts
+const splitText = (text, maxTokens, provider) => {
+  const parts = [];
+  let current = [];
+  let tokens = 0;
+  const lines = String(text).split('\n').flatMap(line => (estimateTokens(`${line}\n`, provider) > maxTokens
+    ? splitLongLine(line, Math.max(maxTokens - 1, 1), provider)
+    : [line]));
+  for (const line of lines) {
+    const lineTokens = estimateTokens(`${line}\n`, provider);
+    if (current.length > 0 && tokens + lineTokens > maxTokens) {
+      let breakAt = current.length;
+      for (let index = current.length - 1; index >= current.length / 2; index--) {
+        if (QUESTION_START.test(current[index])) {
+          breakAt = index;
+          break;
+        }
+      }
+      parts.push(current.slice(0, breakAt).join('\n'));
+      current = current.slice(breakAt);
+      tokens = estimateTokens(current.join('\n'), provider);
+    }
+    current.push(line);
+    tokens += lineTokens;
+  }
+  if (current.length > 0) parts.push(current.join('\n'));
+  return parts;
+};
+
+// Packs the papers, in order, into chunks of at most `budget` tokens. Every
+// piece keeps its paper `number`; a paper too long for one chunk is split
+// into numbered parts.
+const planChunks = (parsedPapers, budget, provider) => {
+  const pieces = parsedPapers.flatMap((paper, index) => {
+    const texts = estimateTokens(paper.text, provider) > budget
+      ? splitText(paper.text, budget, provider)
+      : [paper.text];
+    return texts.map((text, part) => ({ ...paper, number: index + 1, text, part: part + 1, parts: texts.length }));
+  });
+
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  for (const piece of pieces) {
+    const pieceTokens = estimateTokens(buildPapersText([piece]), provider);
+    if (current.length > 0 && tokens + pieceTokens > budget) {
+      chunks.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(piece);
+    tokens += pieceTokens;
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+};
+
+// The locally detected groups, with only the questions of a chunk's papers
+const chunkClusters = (clusters, chunk) => {
+  if (!clusters) return undefined;
+  const numbers = new Set(chunk.map(piece => piece.number));
+  return clusters
+    .map(cluster => ({ ...cluster, questions: cluster.questions.filter(question => numbers.has(question.paper)) }))
+    .filter(cluster => cluster.questions.length > 0);
+};
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const sortedUnique = (numbers) => Array.from(new Set(numbers)).sort((a, b) => a - b);
+
+const uniqueStrings = (strings, max) => Array.from(new Map(strings.map(value => [normalize(value), value])).values())
+  .slice(0, max);
+
+// The same question found in several chunks becomes one item
+const combineQuestionLists = (lists) => {
+  const combined = new Map();
+  for (const item of lists.flat()) {
+    // Locally detected groups are matched by group number, not by label
+    const key = item.group !== undefined ? `group:${item.group}` : normalize(item.question);
+    const existing = combined.get(key);
+    if (!existing) {
+      combined.set(key, { ...item, papers: [...item.papers], ...(item.variants && { variants: [...item.variants] }) });
+      continue;
+    }
+    existing.papers = sortedUnique([...existing.papers, ...item.papers]);
+    if (existing.variants && item.group === undefined) {
+      existing.variants = uniqueStrings([...existing.variants, ...item.variants]);
+      existing.count += item.count;
+    }
+  }
+  return Array.from(combined.values());
+};
+
+// Remaining questions of a paper split across chunks are joined in order
+const combineRemaining = (lists) => {
+  const byPaper = new Map();
+  for (const group of lists.flat()) {
+    byPaper.set(group.paper, [...(byPaper.get(group.paper) || []), ...group.questions]);
+  }
+  return Array.from(byPaper.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([paper, questions]) => ({ paper, questions }));
+};
+
+const combineChunks = (structuredList) => {
+  const pick = (key) => structuredList.map(structured => structured[key]);
+  const recommendations = {};
+  for (const key of ['importantTopics', 'questionPatterns', 'preparationStrategy']) {
+    recommendations[key] = uniqueStrings(structuredList.flatMap(structured => structured.recommendations[key]), MAX_COMBINED_ITEMS);
+  }
+  return {
+    repeatedQuestions: combineQuestionLists(pick('repeatedQuestions')),
+    differenceQuestions: combineQuestionLists(pick('differenceQuestions')),
+    diagramQuestions: combineQuestionLists(pick('diagramQuestions')),
+    remainingQuestions: combineRemaining(pick('remainingQuestions')),
+    recommendations,
+    predictions: uniqueStrings(structuredList.flatMap(structured => structured.predictions), MAX_COMBINED_ITEMS),
+  };
+};
+
+// Listing of the combined results for the merge prompt, and what each id refers to
+const mergeCandidates = (combined, withRemaining) => {
+  const ids = new Map();
+  const lines = [];
+  const papers = (list) => `[P ${list.join(',')}]`;
+
+  combined.repeatedQuestions.forEach((item, index) => {
+    const id = `R${index + 1}`;
+    ids.set(id, { kind: 'R', item });
+    const examples = item.variants.slice(0, 3).map(variant => `"${variant}"`).join(', ');
+    lines.push(`${id} ${papers(item.papers)}: ${item.question}${examples ? ` (e.g. ${examples})` : ''}`);
+  });
+  combined.differenceQuestions.forEach((item, index) => lines.push(`D${index + 1} ${papers(item.papers)}: ${item.question}`));
+  combined.diagramQuestions.forEach((item, index) => lines.push(`G${index + 1} ${papers(item.papers)}: ${item.question}`));
+
+  if (withRemaining) {
+    let count = 0;
+    for (const group of combined.remainingQuestions) {
+      for (const question of group.questions) {
+        count += 1;
+        ids.set(`Q${count}`, { kind: 'Q', paper: group.paper, question });
+        lines.push(`Q${count} ${papers([group.paper])}: ${question.text}`);
+      }
+    }
+  }
+  return { text: lines.join('\n'), ids };
+};
+
+const stringList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()) : []);
+
+// Applies the merge pass answer to the combined chunk results
+const applyMerge = (combined, merged, ids, groupsFixed) => {
+  if (!merged || typeof merged !== 'object' || !Array.isArray(merged.repeatedQuestions)) {
+    throw new Error('"repeatedQuestions" must be an array');
+  }
+
+  const usedGroups = new Set();
+  const movedQuestions = new Set();
+  const repeatedQuestions = [];
+  for (const item of merged.repeatedQuestions) {
+    const members = (Array.isArray(item && item.members) ? item.members : [])
+      .map(String)
+      .filter(id => ids.has(id) && !usedGroups.has(id) && !movedQuestions.has(ids.get(id).question));
+    const label = item && typeof item.question === 'string' ? item.question.trim() : '';
+
+    if (groupsFixed) {
+      const [id] = members.filter(member => ids.get(member).kind === 'R');
+      if (id && label) {
+        usedGroups.add(id);
+        repeatedQuestions.push({ ...ids.get(id).item, question: label });
+      }
+      continue;
+    }
+
+    const entries = members.map(id => ids.get(id));
+    const occurrences = entries.reduce((total, entry) => total + (entry.kind === 'R' ? entry.item.count : 1), 0);
+    if (occurrences < 2) continue;
+    members.forEach(id => (ids.get(id).kind === 'R' ? usedGroups.add(id) : movedQuestions.add(ids.get(id).question)));
+    repeatedQuestions.push({
+      question: label || (entries[0].kind === 'R' ? entries[0].item.question : entries[0].question.text),
+      variants: uniqueStrings(entries.flatMap(entry => (entry.kind === 'R' ? entry.item.variants : [entry.question.text]))),
+      count: occurrences,
+      papers: sortedUnique(entries.flatMap(entry => (entry.kind === 'R' ? entry.item.papers : [entry.paper]))),
+    });
+  }
+
+  // Groups the model left out are kept as they were
+  combined.repeatedQuestions.forEach((item, index) => {
+    if (!usedGroups.has(`R${index + 1}`)) repeatedQuestions.push(item);
+  });
+
+  const recommendations = {};
+  for (const key of Object.keys(combined.recommendations)) {
+    const list = stringList(merged.recommendations && merged.recommendations[key]);
+    recommendations[key] = list.length > 0 ? list : combined.recommendations[key];
+  }
+  const predictions = stringList(merged.predictions);
+
+  return {
+    ...combined,
+    repeatedQuestions,
+    remainingQuestions: combined.remainingQuestions
+      .map(group => ({ ...group, questions: group.questions.filter(question => !movedQuestions.has(question)) }))
+      .filter(group => group.questions.length > 0),
+    recommendations,
+    predictions: predictions.length > 0 ? predictions : combined.predictions,
+  };
+};
+
+// Runs the merge pass when its prompt fits, leaving out the remaining
+// questions if needed. Resolves to `{ structured, merge, result, errors }`
+// with `merge` 'llm' or, when the pass was skipped or failed, 'local'.
+const runMergePass = async (combined, { provider, fallback, forceRefresh, groupsFixed, isMath }) => {
+  const { promptTokens } = tokenLimits(provider);
+  let candidates = mergeCandidates(combined, !groupsFixed);
+  let prompt = generateMergePrompt(candidates.text, { groupsFixed, isMathSubject: isMath });
+  if (estimateTokens(prompt, provider) > promptTokens && !groupsFixed) {
+    candidates = mergeCandidates(combined, false);
+    prompt = generateMergePrompt(candidates.text, { groupsFixed, isMathSubject: isMath });
+  }
+  if (estimateTokens(prompt, provider) > promptTokens) {
+    console.warn('Chunk results are too large for a merge pass, combining them locally');
+    return { structured: combined, merge: 'local' };
+  }
+
+  const result = await llm.generate(prompt, { provider, fallback, forceRefresh });
+  try {
+    return {
+      structured: applyMerge(combined, extractJson(result.text), candidates.ids, groupsFixed),
+      merge: 'llm',
+      result,
+    };
+  } catch (error) {
+    console.warn('Merge pass output could not be used, combining chunks locally:', error.message);
+    return { structured: combined, merge: 'local', result, errors: [error.message] };
+  }
+};
+
+// Analyzes `parsedPapers` chunk by chunk and merges the results. `clusters`
+// are the locally detected repeated question groups, if any. Resolves to
+// `{ structured, provider, model, attempts, cached, repairs, errors, report }`
+// where `report` says how the work was split and which chunks were cut off
+// at maxTokens or failed validation.
+const analyzeInChunks = async (parsedPapers, plan, { provider, fallback, forceRefresh, clusters, isMath, onProgress = () => {} }) => {
+  const chunks = planChunks(parsedPapers, plan.chunkTokens, provider);
+  console.log(`Analyzing ${parsedPapers.length} papers in ${chunks.length} chunks (about ${plan.chunkTokens} tokens each)`);
+
+  const results = [];
+  for (const [index, chunk] of chunks.entries()) {
+    onProgress({ stage: 'calling_model', provider, chunk: index + 1, totalChunks: chunks.length });
+    const prompt = generateJsonPrompt(buildPapersText(chunk), isMath, chunkClusters(clusters, chunk));
+    results.push(await generateStructuredAnalysis(prompt, parsedPapers.length, { provider, fallback, forceRefresh }));
+  }
+
+  const usable = results.filter(result => result.structured);
+  if (usable.length === 0) {
+    const error = new llm.ProviderError(provider, 'No chunk of the analysis produced valid output');
+    error.attempts = results.flatMap(result => result.attempts);
+    throw error;
+  }
+
+  onProgress({ stage: 'calling_model', provider, merge: true, totalChunks: chunks.length });
+  const merged = await runMergePass(combineChunks(usable.map(result => result.structured)), {
+    provider,
+    fallback,
+    forceRefresh,
+    groupsFixed: !!clusters,
+    isMath,
+  });
+
+  const calls = [...results, ...(merged.result ? [merged.result] : [])];
+  const last = calls[calls.length - 1];
+  return {
+    structured: clusters ? mergeRepetitions(merged.structured, clusters) : merged.structured,
+    provider: last.provider,
+    model: last.model,
+    attempts: calls.flatMap(result => result.attempts),
+    cached: calls.every(result => result.cached),
+    repairs: results.reduce((total, result) => total + result.repairs, 0),
+    errors: merged.errors,
+    report: {
+      chunks: chunks.length,
+      chunkPapers: chunks.map(chunk => chunk.map(piece => (piece.parts > 1 ? `${piece.number}.${piece.part}` : String(piece.number)))),
+      truncatedChunks: results.map((result, index) => (result.truncated ? index + 1 : null)).filter(Boolean),
+      failedChunks: results.map((result, index) => (result.structured ? null : index + 1)).filter(Boolean),
+      merge: merged.merge,
+      mergeTruncated: !!(merged.result && merged.result.truncated),
+    },
+  };
+};
+
+module.exports = { planAnalysis, planChunks, combineChunks, applyMerge, analyzeInChunks };
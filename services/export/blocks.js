@@ -0,0 +1,151 @@
+// Turns an analysis into a flat list of blocks that every export format
+// renders the same way:
+//   { type: 'heading', level, text }
+//   { type: 'paragraph', text }
+//   { type: 'list', ordered, items: [String] }
+//   { type: 'table', headers: [String], rows: [[String]] }
+
+// Section titles the analysis prompt asks for, e.g. "2. Questions Asking for Differences:"
+const SECTION_TITLE = /^(?:\d+\.\s*)?(?:repeated questions|questions asking for differences|questions requiring diagrams|remaining questions|study recommendations|predictions)\b/i;
+const NUMBERED_TITLE = /^\d+\.\s+[^|]{2,60}:$/;
+const PAPER_TITLE = /^paper\s+\d+\s*:?$/i;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?$/;
+
+// Drops inline markdown: bold, italics, code and links
+const plainText = (text) => String(text || '')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/(\*\*|__)(.*?)\1/g, '$2')
+  .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+  .replace(/`([^`]+)`/g, '$1')
+  .trim();
+
+const splitRow = (line) => line.trim()
+  .replace(/^\|/, '')
+  .replace(/\|$/, '')
+  .split('|')
+  .map(cell => plainText(cell));
+
+const parseMarkdown = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.map(plainText).join('\n') });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const text = plainText(line.replace(/^#{1,6}\s+/, ''));
+
+    if (!line) {
+      flush();
+      continue;
+    }
+
+    if (line.startsWith('|') && TABLE_SEPARATOR.test((lines[i + 1] || '').trim())) {
+      flush();
+      const headers = splitRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        rows.push(splitRow(lines[i]));
+        i += 1;
+      }
+      i -= 1;
+      blocks.push({ type: 'table', headers, rows });
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+/.exec(line);
+    if (heading || SECTION_TITLE.test(text) && text.endsWith(':') || NUMBERED_TITLE.test(text) || PAPER_TITLE.test(text)) {
+      flush();
+      const level = heading ? Math.min(heading[1].length, 3)
+        : SECTION_TITLE.test(text) ? 2
+        : 3;
+      blocks.push({ type: 'heading', level, text: text.replace(/:$/, '') });
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(lines[i]);
+    if (item) {
+      const ordered = /\d/.test(item[2]);
+      if (paragraph.length > 0 || (list && list.ordered !== ordered && !item[1])) flush();
+      if (!list) list = { type: 'list', ordered, items: [] };
+      list.items.push(plainText(item[3]));
+      continue;
+    }
+
+    if (list) flush();
+    paragraph.push(line);
+  }
+  flush();
+  return blocks;
+};
+
+const paperList = (papers) => (papers || []).map(paper => `Paper ${paper}`).join(', ');
+
+const questionTable = (heading, items, withCount) => {
+  if (!items || items.length === 0) {
+    return [
+      { type: 'heading', level: 2, text: heading },
+      { type: 'paragraph', text: `No ${heading.toLowerCase()} found in the papers.` }
+    ];
+  }
+  return [
+    { type: 'heading', level: 2, text: heading },
+    {
+      type: 'table',
+      headers: withCount ? ['Question', 'Repeated Count', 'Papers Appeared'] : ['Question', 'Papers Appeared'],
+      rows: items.map(item => (withCount
+        ? [item.question, String(item.count), paperList(item.papers)]
+        : [item.question, paperList(item.papers)]))
+    }
+  ];
+};
+
+// Blocks for a validated format=json analysis
+const structuredBlocks = (structured) => {
+  const blocks = [
+    ...questionTable('Repeated Questions', structured.repeatedQuestions, true),
+    ...questionTable('Questions Asking for Differences', structured.differenceQuestions),
+    ...questionTable('Questions Requiring Diagrams', structured.diagramQuestions),
+    { type: 'heading', level: 2, text: 'Remaining Questions' }
+  ];
+
+  for (const group of structured.remainingQuestions || []) {
+    blocks.push({ type: 'heading', level: 3, text: `Paper ${group.paper}` });
+    blocks.push({
+      type: 'table',
+      headers: ['No.', 'Question'],
+      rows: group.questions.map(question => [question.number, question.text])
+    });
+  }
+
+  const recommendations = structured.recommendations || {};
+  blocks.push({ type: 'heading', level: 2, text: 'Study Recommendations' });
+  for (const [key, title] of [['importantTopics', 'Important Topics'], ['questionPatterns', 'Question Patterns'], ['preparationStrategy', 'Preparation Strategy']]) {
+    if (!recommendations[key] || recommendations[key].length === 0) continue;
+    blocks.push({ type: 'heading', level: 3, text: title });
+    blocks.push({ type: 'list', ordered: false, items: recommendations[key] });
+  }
+
+  blocks.push({ type: 'heading', level: 2, text: 'Predictions' });
+  blocks.push({ type: 'list', ordered: false, items: structured.predictions || [] });
+  return blocks;
+};
+
+const analysisBlocks = (history) => (history.structured
+  ? structuredBlocks(history.structured)
+  : parseMarkdown(history.analysis));
+
+module.exports = { parseMarkdown, structuredBlocks, analysisBlocks, plainText };
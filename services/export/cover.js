@@ -0,0 +1,55 @@
+const AnalysisHistory = require('../../models/AnalysisHistory');
+
+const EXAM_SESSION_LABELS = {
+  'mid-sem': 'Mid-semester',
+  'end-sem': 'End-semester',
+  supplementary: 'Supplementary'
+};
+
+// What the cover page shows about an analysis and its source papers
+const coverInfo = (history) => {
+  const papers = (history.papersInfo || []).map((paper, index) => ({
+    number: index + 1,
+    name: paper.originalName,
+    subject: paper.subject || '',
+    year: paper.year ? String(paper.year) : '',
+    examSession: EXAM_SESSION_LABELS[paper.examSession] || '',
+    courseCode: paper.courseCode || '',
+    university: paper.university || ''
+  }));
+
+  return {
+    title: history.title || AnalysisHistory.defaultTitle(history.papersInfo),
+    subjects: Array.from(new Set(papers.map(paper => paper.subject).filter(Boolean))),
+    model: history.modelUsed,
+    createdAt: new Date(history.createdAt || Date.now()),
+    tags: history.tags || [],
+    papers
+  };
+};
+
+const PAPER_COLUMNS = [
+  ['No.', paper => `Paper ${paper.number}`],
+  ['File', paper => paper.name],
+  ['Subject', paper => paper.subject],
+  ['Year', paper => paper.year],
+  ['Exam', paper => paper.examSession],
+  ['Course code', paper => paper.courseCode]
+];
+
+// The source papers as a table block
+const papersTable = (cover) => ({
+  type: 'table',
+  headers: PAPER_COLUMNS.map(([header]) => header),
+  rows: cover.papers.map(paper => PAPER_COLUMNS.map(([, value]) => value(paper)))
+});
+
+const coverLines = (cover) => [
+  ['Subject', cover.subjects.join(', ') || 'Unknown Subject'],
+  ['Model', cover.model],
+  ['Generated', cover.createdAt.toISOString().slice(0, 10)],
+  ['Papers', String(cover.papers.length)],
+  ...(cover.tags.length > 0 ? [['Tags', cover.tags.join(', ')]] : [])
+];
+
+module.exports = { coverInfo, papersTable, coverLines };
@@ -0,0 +1,58 @@
+const COLUMNS = ['Section', 'Paper', 'Question', 'Repeated Count', 'Papers Appeared'];
+
+// Maps a table header onto one of the CSV columns
+const columnFor = (header) => {
+  const name = header.toLowerCase();
+  if (name.includes('count')) return 'Repeated Count';
+  if (name.includes('paper')) return 'Papers Appeared';
+  if (name.includes('question') || name.includes('topic')) return 'Question';
+  return null;
+};
+
+// Quotes every cell and defuses values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  let text = String(value === undefined || value === null ? '' : value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// One row per question from every table in the analysis, labelled with
+// the section it came from
+const renderCsv = (cover, blocks) => {
+  const rows = [];
+  let section = '';
+  let paper = '';
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      if (/^paper\s+\d+/i.test(block.text)) {
+        paper = block.text;
+      } else if (block.level <= 2) {
+        section = block.text.replace(/^\d+\.\s*/, '');
+        paper = '';
+      }
+      continue;
+    }
+    if (block.type !== 'table') continue;
+
+    const columns = block.headers.map(columnFor);
+    for (const cells of block.rows) {
+      const row = { Section: section, Paper: paper };
+      cells.forEach((cell, index) => {
+        if (columns[index] && !row[columns[index]]) row[columns[index]] = cell;
+      });
+      // Tables such as "No. | Question" keep the number in front of the text
+      if (!row.Question) row.Question = cells.filter(Boolean).join(' ');
+      else if (columns[0] === null && cells[0]) {
+        row.Question = `${cells[0]} ${row.Question}`;
+      }
+      rows.push(COLUMNS.map(column => csvCell(row[column])).join(','));
+    }
+  }
+
+  const header = COLUMNS.map(csvCell).join(',');
+  // BOM so spreadsheet apps read the file as UTF-8
+  return Buffer.from(`\uFEFF${[header, ...rows].join('\r\n')}\r\n`, 'utf8');
+};
+
+module.exports = { renderCsv };
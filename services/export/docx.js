@@ -0,0 +1,77 @@
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  ShadingType,
+  AlignmentType,
+  PageBreak
+} = require('docx');
+const { papersTable, coverLines } = require('./cover');
+
+const HEADINGS = { 1: HeadingLevel.HEADING_1, 2: HeadingLevel.HEADING_2, 3: HeadingLevel.HEADING_3 };
+
+// Keeps line breaks inside a paragraph or cell
+const runs = (text, options = {}) => String(text || '').split('\n')
+  .map((line, index) => new TextRun({ text: line, break: index > 0 ? 1 : 0, ...options }));
+
+const cell = (text, header) => new TableCell({
+  children: [new Paragraph({ children: runs(text, { bold: header }) })],
+  shading: header ? { type: ShadingType.CLEAR, color: 'auto', fill: 'E8EEF7' } : undefined
+});
+
+const renderTable = (table) => new Table({
+  width: { size: 100, type: WidthType.PERCENTAGE },
+  rows: [
+    new TableRow({ tableHeader: true, children: table.headers.map(header => cell(header, true)) }),
+    ...table.rows.map(row => new TableRow({
+      children: table.headers.map((header, index) => cell(row[index], false))
+    }))
+  ]
+});
+
+const renderBlock = (block) => {
+  switch (block.type) {
+    case 'heading':
+      return [new Paragraph({ text: block.text, heading: HEADINGS[block.level] || HeadingLevel.HEADING_3 })];
+    case 'table':
+      return [renderTable(block), new Paragraph('')];
+    case 'list':
+      return block.items.map((item, index) => (block.ordered
+        ? new Paragraph({ children: runs(`${index + 1}. ${item}`), indent: { left: 360 } })
+        : new Paragraph({ children: runs(item), bullet: { level: 0 } })));
+    default:
+      return [new Paragraph({ children: runs(block.text) })];
+  }
+};
+
+const renderCover = (cover) => [
+  new Paragraph({ text: cover.title, heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER }),
+  new Paragraph({
+    alignment: AlignmentType.CENTER,
+    children: [new TextRun({ text: 'Previous year question paper analysis', color: '555555' })]
+  }),
+  new Paragraph(''),
+  ...coverLines(cover).map(([label, value]) => new Paragraph({
+    children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)]
+  })),
+  new Paragraph({ text: 'Source Papers', heading: HeadingLevel.HEADING_2 }),
+  renderTable(papersTable(cover)),
+  new Paragraph({ children: [new PageBreak()] })
+];
+
+const renderDocx = (cover, blocks) => {
+  const doc = new Document({
+    title: cover.title,
+    creator: 'PYQuer',
+    sections: [{ children: [...renderCover(cover), ...blocks.flatMap(renderBlock)] }]
+  });
+  return Packer.toBuffer(doc);
+};
+
+module.exports = { renderDocx };
@@ -0,0 +1,39 @@
+const { analysisBlocks } = require('./blocks');
+const { coverInfo } = require('./cover');
+const { renderPdf } = require('./pdf');
+const { renderDocx } = require('./docx');
+const { renderMarkdown } = require('./markdown');
+const { renderCsv } = require('./csv');
+
+// Renderers take the cover info and the analysis blocks and resolve to a Buffer
+const EXPORTERS = {
+  pdf: { render: renderPdf, contentType: 'application/pdf' },
+  docx: { render: renderDocx, contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  md: { render: renderMarkdown, contentType: 'text/markdown; charset=utf-8' },
+  csv: { render: renderCsv, contentType: 'text/csv; charset=utf-8' }
+};
+
+const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+// "DBMS 2021, 2022" -> "DBMS-2021-2022"
+const exportFileName = (title, format) => {
+  const base = String(title || 'analysis')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .slice(0, 80) || 'analysis';
+  return `${base}.${format}`;
+};
+
+// Renders an AnalysisHistory entry. Resolves to `{ buffer, contentType, fileName }`.
+const exportAnalysis = async (history, format) => {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  const cover = coverInfo(history);
+  const buffer = await exporter.render(cover, analysisBlocks(history));
+  return { buffer, contentType: exporter.contentType, fileName: exportFileName(cover.title, format) };
+};
+
+module.exports = { EXPORT_FORMATS, exportAnalysis };
@@ -0,0 +1,40 @@
+const { papersTable, coverLines } = require('./cover');
+
+const escapeCell = (value) => String(value || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+const renderTable = ({ headers, rows }) => [
+  `| ${headers.map(escapeCell).join(' | ')} |`,
+  `|${headers.map(() => '---').join('|')}|`,
+  ...rows.map(row => `| ${headers.map((header, index) => escapeCell(row[index])).join(' | ')} |`)
+].join('\n');
+
+const renderBlock = (block) => {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(block.level)} ${block.text}`;
+    case 'table':
+      return renderTable(block);
+    case 'list':
+      return block.items.map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item}`).join('\n');
+    default:
+      // Two trailing spaces keep the original line breaks
+      return block.text.split('\n').join('  \n');
+  }
+};
+
+// Markdown for blocks alone, without the cover
+const blocksToMarkdown = (blocks) => blocks.map(renderBlock).join('\n\n');
+
+const renderMarkdown = (cover, blocks) => {
+  const parts = [
+    `# ${cover.title}`,
+    coverLines(cover).map(([label, value]) => `**${label}:** ${value}`).join('  \n'),
+    '## Source Papers',
+    renderTable(papersTable(cover)),
+    '---',
+    ...blocks.map(renderBlock)
+  ];
+  return Buffer.from(`${parts.join('\n\n')}\n`, 'utf8');
+};
+
+module.exports = { renderMarkdown, blocksToMarkdown };
@@ -0,0 +1,62 @@
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 60;
+const MARKS_WIDTH = 40;
+
+// Printable question paper for a mock paper built by services/mockPapers.js
+const renderMockPaperPdf = (mock) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: mock.title, Creator: 'PYQuer' }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const width = doc.page.width - MARGIN * 2;
+  doc.font('Helvetica-Bold').fontSize(18).text(mock.title, { align: 'center' })
+    .moveDown(0.3)
+    .font('Helvetica').fontSize(10).fillColor('#555555')
+    .text(`Practice paper in the pattern of ${mock.template.originalName || `Paper ${mock.template.paper}`}`, { align: 'center' })
+    .fillColor('black')
+    .moveDown(0.8);
+  if (mock.totalMarks) {
+    doc.font('Helvetica-Bold').fontSize(11).text(`Maximum Marks: ${mock.totalMarks}`, { align: 'right' });
+  }
+  doc.moveTo(MARGIN, doc.y + 4).lineTo(MARGIN + width, doc.y + 4).lineWidth(0.5).stroke('#999999');
+  doc.moveDown(1);
+
+  for (const question of mock.questions) {
+    // Keep a question's first line with its number
+    if (doc.y > doc.page.height - MARGIN - 60) doc.addPage();
+    question.parts.forEach((part, index) => {
+      const label = [index === 0 ? `Q${question.number}.` : '', part.part ? `${part.part})` : ''].filter(Boolean).join(' ');
+      const indent = index === 0 ? 0 : 28;
+      const text = `${label} ${part.text}`.trim();
+      const options = { width: width - indent - MARKS_WIDTH };
+      doc.font('Helvetica').fontSize(11);
+      // The marks are drawn beside the text, so it must not break across pages
+      if (doc.y + doc.heightOfString(text, options) > doc.page.height - MARGIN) doc.addPage();
+      const top = doc.y;
+      doc.text(text, MARGIN + indent, top, options);
+      const bottom = doc.y;
+      if (part.marks) {
+        doc.font('Helvetica-Bold').fontSize(10)
+          .text(`[${part.marks}]`, MARGIN + width - MARKS_WIDTH, top, { width: MARKS_WIDTH, align: 'right' });
+      }
+      doc.x = MARGIN;
+      doc.y = bottom;
+      doc.moveDown(0.4);
+    });
+    doc.moveDown(0.6);
+  }
+
+  // The seed regenerates this exact paper
+  doc.moveDown(1).font('Helvetica').fontSize(8).fillColor('#777777')
+    .text(`Seed: ${mock.seed}`, MARGIN, doc.y, { align: 'right', width });
+  doc.end();
+});
+
+module.exports = { renderMockPaperPdf };
@@ -0,0 +1,115 @@
+const PDFDocument = require('pdfkit');
+const { papersTable, coverLines } = require('./cover');
+
+const MARGIN = 50;
+const CELL_PADDING = 4;
+const HEADING_SIZES = { 1: 20, 2: 15, 3: 12 };
+
+// Column widths from the longest cell in each column, within sensible bounds
+const columnWidths = (doc, table, totalWidth) => {
+  const longest = table.headers.map((header, index) => Math.max(
+    header.length,
+    ...table.rows.map(row => String(row[index] || '').length)
+  ));
+  const weights = longest.map(length => Math.min(Math.max(length, 6), 60));
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  return weights.map(weight => (weight / sum) * totalWidth);
+};
+
+const drawRow = (doc, cells, widths, { bold, fill }) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  const height = Math.max(...cells.map((cell, index) => doc.heightOfString(String(cell || ''), {
+    width: widths[index] - CELL_PADDING * 2
+  }))) + CELL_PADDING * 2;
+
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  let x = MARGIN;
+  cells.forEach((cell, index) => {
+    if (fill) doc.rect(x, top, widths[index], height).fill(fill).fillColor('black');
+    doc.rect(x, top, widths[index], height).lineWidth(0.5).stroke('#999999');
+    doc.text(String(cell || ''), x + CELL_PADDING, top + CELL_PADDING, {
+      width: widths[index] - CELL_PADDING * 2
+    });
+    x += widths[index];
+  });
+  doc.x = MARGIN;
+  doc.y = top + height;
+};
+
+const drawTable = (doc, table) => {
+  const widths = columnWidths(doc, table, doc.page.width - MARGIN * 2);
+  drawRow(doc, table.headers, widths, { bold: true, fill: '#e8eef7' });
+  for (const row of table.rows) {
+    drawRow(doc, table.headers.map((header, index) => row[index]), widths, {});
+  }
+  doc.moveDown(0.8);
+};
+
+const drawBlock = (doc, block) => {
+  doc.x = MARGIN;
+  switch (block.type) {
+    case 'heading':
+      // Keep headings with the content that follows them
+      if (doc.y > doc.page.height - MARGIN - 80) doc.addPage();
+      doc.moveDown(block.level === 2 ? 0.6 : 0.3)
+        .font('Helvetica-Bold').fontSize(HEADING_SIZES[block.level] || 12)
+        .text(block.text)
+        .moveDown(0.3);
+      break;
+    case 'table':
+      drawTable(doc, block);
+      break;
+    case 'list':
+      doc.font('Helvetica').fontSize(10);
+      block.items.forEach((item, index) => {
+        doc.text(`${block.ordered ? `${index + 1}.` : '•'} ${item}`, MARGIN + 10, doc.y, {
+          width: doc.page.width - MARGIN * 2 - 10
+        });
+      });
+      doc.moveDown(0.5);
+      break;
+    default:
+      doc.font('Helvetica').fontSize(10).text(block.text).moveDown(0.5);
+  }
+};
+
+const drawCover = (doc, cover) => {
+  doc.moveDown(6)
+    .font('Helvetica-Bold').fontSize(26).text(cover.title, { align: 'center' })
+    .moveDown(0.5)
+    .font('Helvetica').fontSize(12).fillColor('#555555')
+    .text('Previous year question paper analysis', { align: 'center' })
+    .fillColor('black')
+    .moveDown(2);
+
+  for (const [label, value] of coverLines(cover)) {
+    doc.font('Helvetica-Bold').fontSize(11).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value);
+  }
+
+  doc.moveDown(1.5).font('Helvetica-Bold').fontSize(14).text('Source Papers').moveDown(0.5);
+  drawTable(doc, papersTable(cover));
+};
+
+const renderPdf = (cover, blocks) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: cover.title, Creator: 'PYQuer' }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  drawCover(doc, cover);
+  doc.addPage();
+  blocks.forEach(block => drawBlock(doc, block));
+  doc.end();
+});
+
+module.exports = { renderPdf };
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const ExtractionCache = require('../models/ExtractionCache');
+
+// Eviction: entries expire EXTRACTION_CACHE_TTL_DAYS after their last use
+// (MongoDB TTL index), and the least recently used entries are dropped once
+// there are more than EXTRACTION_CACHE_MAX_ENTRIES.
+const ttlDays = () => Number(process.env.EXTRACTION_CACHE_TTL_DAYS) || 30;
+const maxEntries = () => Number(process.env.EXTRACTION_CACHE_MAX_ENTRIES) || 1000;
+const isEnabled = () => process.env.EXTRACTION_CACHE !== 'off';
+
+const expiry = () => new Date(Date.now() + ttlDays() * 24 * 60 * 60 * 1000);
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+const sameLanguages = (a, b) => a.length === b.length && a.every(code => b.includes(code));
+
+// Resolves to `{ method, pages, pageReport, ocr, languages }` for a cached
+// file, or null. OCR output only counts as a hit when it was produced with
+// the same `languages`. Lookup failures are logged and treated as a miss.
+const getCachedExtraction = async (hash, { languages } = {}) => {
+  if (!isEnabled()) return null;
+  try {
+    const cached = await ExtractionCache.findOne({ hash }).select('method languages');
+    if (!cached) return null;
+    // Entries saved before OCR languages were selectable were English only
+    const cachedLanguages = cached.languages && cached.languages.length > 0 ? cached.languages : ['eng'];
+    if (cached.method !== 'text' && languages && !sameLanguages(languages, cachedLanguages)) {
+      return null;
+    }
+
+    const entry = await ExtractionCache.findOneAndUpdate(
+      { hash },
+      { $inc: { hits: 1 }, $set: { lastUsedAt: new Date(), expiresAt: expiry() } },
+      { new: true }
+    );
+    if (!entry) return null;
+    // Entries saved before per-page reports existed used one method throughout
+    const pageReport = entry.pageReport
+      || entry.pages.map((text, index) => ({ page: index + 1, method: entry.method }));
+    return { method: entry.method, pages: entry.pages, pageReport, ocr: entry.ocr, languages: cachedLanguages };
+  } catch (error) {
+    console.error('Extraction cache lookup error:', error);
+    return null;
+  }
+};
+
+// Drops the least recently used entries above the size limit
+const enforceCacheLimit = async () => {
+  const overflow = await ExtractionCache.countDocuments() - maxEntries();
+  if (overflow <= 0) return 0;
+  const stale = await ExtractionCache.find().sort({ lastUsedAt: 1 }).limit(overflow).select('_id');
+  const { deletedCount } = await ExtractionCache.deleteMany({ _id: { $in: stale.map(entry => entry._id) } });
+  console.log(`Extraction cache over its limit of ${maxEntries()}, evicted ${deletedCount} entries`);
+  return deletedCount;
+};
+
+// Stores the pages extracted from a file. Failures are logged, never thrown,
+// as the extraction itself has already succeeded.
+const saveExtraction = async (hash, { method, pages, pageReport, ocr, languages, size }) => {
+  if (!isEnabled()) return;
+  try {
+    await ExtractionCache.updateOne(
+      { hash },
+      { $set: { method, pages, pageReport, ocr, languages, size, lastUsedAt: new Date(), expiresAt: expiry() } },
+      { upsert: true }
+    );
+    await enforceCacheLimit();
+  } catch (error) {
+    console.error('Extraction cache save error:', error);
+  }
+};
+
+const cacheStats = async () => {
+  const [stats] = await ExtractionCache.aggregate([
+    {
+      $group: {
+        _id: '$method',
+        entries: { $sum: 1 },
+        hits: { $sum: '$hits' },
+        pages: { $sum: { $size: '$pages' } },
+        bytes: { $sum: { $ifNull: ['$size', 0] } },
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        entries: { $sum: '$entries' },
+        hits: { $sum: '$hits' },
+        pages: { $sum: '$pages' },
+        bytes: { $sum: '$bytes' },
+        byMethod: { $push: { method: '$_id', entries: '$entries', hits: '$hits' } },
+      }
+    },
+  ]);
+  return {
+    entries: stats ? stats.entries : 0,
+    hits: stats ? stats.hits : 0,
+    pages: stats ? stats.pages : 0,
+    bytes: stats ? stats.bytes : 0,
+    byMethod: stats ? stats.byMethod : [],
+    ttlDays: ttlDays(),
+    maxEntries: maxEntries(),
+    enabled: isEnabled(),
+  };
+};
+
+// Removes cache entries; `hash`, `method` and `unusedDays` narrow the purge.
+// Resolves to the number of entries removed.
+const purgeCache = async ({ hash, method, unusedDays } = {}) => {
+  const filter = {};
+  if (hash) filter.hash = hash;
+  if (method) filter.method = method;
+  if (unusedDays !== undefined) {
+    filter.lastUsedAt = { $lt: new Date(Date.now() - unusedDays * 24 * 60 * 60 * 1000) };
+  }
+  const { deletedCount } = await ExtractionCache.deleteMany(filter);
+  return deletedCount;
+};
+
+module.exports = {
+  hashBuffer,
+  hashFile,
+  getCachedExtraction,
+  saveExtraction,
+  cacheStats,
+  purgeCache,
+};
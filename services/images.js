@@ -0,0 +1,74 @@
+const path = require('path');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const PDFDocument = require('pdfkit');
+
+// Photographed papers: JPEG, PNG and HEIC (iPhone) images are turned into a
+// PDF with one page per image, so they go through the same extraction and
+// OCR pipeline as scanned PDFs.
+
+const IMAGE_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/heic': ['.heic'],
+  'image/heif': ['.heif'],
+};
+const HEIC_TYPES = ['image/heic', 'image/heif'];
+
+// Pages are A4 wide; longer photos get longer pages
+const PAGE_WIDTH = 595.28;
+// Photos are scaled down to about 300 dpi at that width
+const MAX_IMAGE_WIDTH = 2480;
+
+// Browsers often send HEIC as application/octet-stream, so the extension counts too
+const imageType = (file) => {
+  if (IMAGE_TYPES[file.mimetype]) return file.mimetype;
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  return Object.keys(IMAGE_TYPES).find(type => IMAGE_TYPES[type].includes(extension)) || null;
+};
+
+const isImage = (file) => imageType(file) !== null;
+
+// Upright JPEG of an uploaded image: HEIC is decoded first and the EXIF
+// orientation set by phone cameras is applied
+const normalizeImage = async (buffer, type) => {
+  const source = HEIC_TYPES.includes(type)
+    ? Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.92 }))
+    : buffer;
+  return sharp(source)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .resize({ width: MAX_IMAGE_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 90 })
+    .toBuffer({ resolveWithObject: true });
+};
+
+// One PDF page per image, in the given order. `images` is
+// `[{ buffer, type, name }]`; errors name the image that could not be read.
+const imagesToPdf = async (images) => {
+  const pages = [];
+  for (const image of images) {
+    try {
+      pages.push(await normalizeImage(image.buffer, image.type));
+    } catch (error) {
+      throw new Error(`Could not read image ${image.name}: ${error.message}`);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ autoFirstPage: false, margin: 0, info: { Title: 'Photographed paper' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const { data, info } of pages) {
+      const height = (info.height / info.width) * PAGE_WIDTH;
+      doc.addPage({ size: [PAGE_WIDTH, height], margin: 0 });
+      doc.image(data, 0, 0, { width: PAGE_WIDTH, height });
+    }
+    doc.end();
+  });
+};
+
+module.exports = { IMAGE_TYPES, imageType, isImage, imagesToPdf };
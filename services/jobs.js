@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+const AnalysisJob = require('../models/AnalysisJob');
+const { ACTIVE_STATUSES } = require('../models/AnalysisJob');
+const { analyzePapers } = require('./analysis');
+
+// Background analysis jobs. Jobs are persisted in MongoDB and run one at a
+// time (OCR is CPU bound), or ANALYSIS_JOB_CONCURRENCY at a time.
+// Every state change is emitted as `job:<id>` for the SSE stream.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const concurrency = () => Math.max(1, Number(process.env.ANALYSIS_JOB_CONCURRENCY) || 1);
+// Runs a job may start before it is given up on. A job still active after a
+// restart most likely took the server down with it (e.g. OCR out of memory).
+const maxAttempts = () => Math.max(1, Number(process.env.ANALYSIS_JOB_MAX_ATTEMPTS) || 3);
+
+const queue = [];
+let running = 0;
+
+const describeProgress = (update) => {
+  switch (update.stage) {
+    case 'extracting':
+      return `Extracting text from ${update.paper} (${update.paperIndex}/${update.totalPapers})`;
+    case 'ocr':
+      return `OCR page ${update.page}/${update.totalPages} of ${update.paper}`;
+    case 'calling_model':
+      if (update.merge) return `Merging the ${update.totalChunks} parts with ${update.provider}`;
+      return update.chunk
+        ? `Calling ${update.provider} (part ${update.chunk}/${update.totalChunks})`
+        : `Calling ${update.provider}`;
+    default:
+      return update.stage;
+  }
+};
+
+const publish = (job) => {
+  jobEvents.emit(`job:${job._id}`, job.toClient());
+};
+
+const runJob = async (jobId) => {
+  const job = await AnalysisJob.findById(jobId);
+  if (!job || !ACTIVE_STATUSES.includes(job.status)) return;
+
+  job.attempts += 1;
+  job.startedAt = new Date();
+  job.error = undefined;
+  await job.save();
+
+  try {
+    const result = await analyzePapers(job.request, {
+      userId: job.user,
+      onProgress: (update) => {
+        job.status = update.stage;
+        job.progress = {
+          message: describeProgress(update),
+          paper: update.paper,
+          paperIndex: update.paperIndex,
+          totalPapers: update.totalPapers,
+          page: update.page,
+          totalPages: update.totalPages,
+        };
+        publish(job);
+        // updateOne rather than save(): progress callbacks are not awaited and may overlap
+        AnalysisJob.updateOne({ _id: job._id }, { $set: { status: job.status, progress: job.progress } })
+          .catch(err => console.warn(`Failed to save progress of job ${job._id}:`, err.message));
+      },
+    });
+
+    job.status = 'done';
+    job.result = result;
+    job.progress = { message: 'Analysis complete' };
+  } catch (error) {
+    console.error(`Analysis job ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    job.progress = { message: 'Analysis failed' };
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+  publish(job);
+};
+
+const drain = () => {
+  while (running < concurrency() && queue.length > 0) {
+    const jobId = queue.shift();
+    running += 1;
+    runJob(jobId)
+      .catch(error => console.error(`Analysis job ${jobId} crashed:`, error))
+      .finally(() => {
+        running -= 1;
+        drain();
+      });
+  }
+};
+
+const enqueue = (jobId) => {
+  queue.push(String(jobId));
+  drain();
+};
+
+// Persists a new job for the /api/analyze body and schedules it. `owner` is
+// `{ user }` or, for anonymous requests, `{ tokenHash }` (see ownerFilter).
+const submitJob = async (request, owner) => {
+  const job = await AnalysisJob.create({
+    user: owner && owner.user,
+    tokenHash: owner && !owner.user ? owner.tokenHash : undefined,
+    request,
+    progress: { message: 'Waiting in queue' },
+  });
+  enqueue(job._id);
+  return job;
+};
+
+// Re-queues jobs that were still running when the server stopped, and fails
+// those that have already been started maxAttempts() times.
+// Uploaded files are only removed once an analysis succeeds, so they are still there.
+const resumeJobs = async () => {
+  try {
+    const pending = await AnalysisJob.find({ status: { $in: ACTIVE_STATUSES } }).sort({ createdAt: 1 });
+    let resumed = 0;
+    for (const job of pending) {
+      if (job.attempts >= maxAttempts()) {
+        console.warn(`Analysis job ${job._id} was interrupted ${job.attempts} time(s), marking it failed`);
+        job.status = 'failed';
+        job.error = `The analysis was interrupted ${job.attempts} time(s) and will not be retried`;
+        job.progress = { message: 'Analysis failed' };
+        job.finishedAt = new Date();
+        await job.save();
+        continue;
+      }
+      job.status = 'queued';
+      job.progress = { message: 'Waiting in queue (resumed after restart)' };
+      await job.save();
+      enqueue(job._id);
+      resumed += 1;
+    }
+    if (resumed > 0) {
+      console.log(`Resumed ${resumed} analysis job(s)`);
+    }
+  } catch (error) {
+    console.error('Failed to resume analysis jobs:', error);
+  }
+};
+
+// Calls `listener` with the job state on every update; returns an unsubscribe function
+const subscribe = (jobId, listener) => {
+  const event = `job:${jobId}`;
+  jobEvents.on(event, listener);
+  return () => jobEvents.off(event, listener);
+};
+
+module.exports = { submitJob, resumeJobs, subscribe };
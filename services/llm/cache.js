@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const LlmCache = require('../../models/LlmCache');
+
+// Response cache for llm.generate. LLM_CACHE=off disables it and
+// LLM_CACHE_TTL_HOURS (default 24) sets how long a response is reused.
+const isEnabled = () => process.env.LLM_CACHE !== 'off';
+const ttlHours = () => Number(process.env.LLM_CACHE_TTL_HOURS) || 24;
+
+// Whitespace differences do not change the answer
+const normalizePrompt = (prompt) => String(prompt)
+  .replace(/\r\n/g, '\n')
+  .split('\n')
+  .map(line => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// `settings` are the provider's effective model, maxTokens and temperature
+const cacheKey = (prompt, provider, settings) => crypto.createHash('sha256')
+  .update(JSON.stringify({
+    prompt: normalizePrompt(prompt),
+    provider,
+    model: settings.model,
+    maxTokens: settings.maxTokens,
+    temperature: settings.temperature,
+  }))
+  .digest('hex');
+
+// Resolves to `{ text, provider, model, cachedAt }` or null. Lookup errors
+// are logged and treated as a miss.
+const lookup = async (key) => {
+  try {
+    const entry = await LlmCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    );
+    return entry ? { text: entry.text, provider: entry.provider, model: entry.model, cachedAt: entry.updatedAt } : null;
+  } catch (error) {
+    console.error('LLM cache lookup error:', error);
+    return null;
+  }
+};
+
+const store = async (key, { text, provider, model }) => {
+  try {
+    await LlmCache.updateOne(
+      { key },
+      { $set: { provider, model, text, expiresAt: new Date(Date.now() + ttlHours() * 60 * 60 * 1000) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('LLM cache save error:', error);
+  }
+};
+
+module.exports = { isEnabled, normalizePrompt, cacheKey, lookup, store };
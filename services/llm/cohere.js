@@ -0,0 +1,60 @@
+const cohereClient = require('cohere-ai');
+const { providerConfig } = require('./config');
+const { ProviderError, isRetryable, toProviderError } = require('./errors');
+
+const name = 'cohere';
+
+let initialized = false;
+const getClient = () => {
+  if (!initialized) {
+    cohereClient.init(process.env.COHERE_API_KEY);
+    initialized = true;
+  }
+  return cohereClient;
+};
+
+const cohere = {
+  name,
+  config: () => providerConfig(name, { model: 'command', maxTokens: 2000, temperature: 0.7, contextTokens: 4096 }),
+  charsPerToken: 4,
+  isConfigured: () => !!process.env.COHERE_API_KEY,
+
+  generate: async (prompt, options = {}) => {
+    const config = { ...cohere.config(), ...options };
+    try {
+      const response = await getClient().generate({
+        model: config.model,
+        prompt,
+        max_tokens: config.maxTokens,
+        temperature: config.temperature,
+        k: 0,
+        stop_sequences: [],
+        return_likelihoods: 'NONE'
+      });
+
+      // The SDK never rejects on HTTP errors, it resolves with the status code
+      const status = response && response.statusCode;
+      if (status && status >= 400) {
+        const message = (response.body && response.body.message) || `Cohere API returned ${status}`;
+        throw new ProviderError(name, message, { status, retryable: isRetryable(status) });
+      }
+      if (!response || !response.body || !response.body.generations || !response.body.generations[0]) {
+        throw new ProviderError(name, 'Invalid response from Cohere API', { retryable: true });
+      }
+      const [generation] = response.body.generations;
+      return { text: generation.text, model: config.model, truncated: generation.finish_reason === 'MAX_TOKENS' };
+    } catch (error) {
+      // Network failures are rejected as `{ statusCode, body: { message } }`
+      if (error && error.body && error.statusCode) {
+        const message = error.body.message || `Cohere API returned ${error.statusCode}`;
+        throw new ProviderError(name, message, {
+          status: error.statusCode,
+          retryable: isRetryable(error.statusCode, message)
+        });
+      }
+      throw toProviderError(name, error);
+    }
+  },
+};
+
+module.exports = cohere;
@@ -0,0 +1,20 @@
+// Per-provider settings, overridable through the environment, e.g.
+// GEMINI_MODEL, MISTRAL_MAX_TOKENS, COHERE_TEMPERATURE, COHERE_CONTEXT_TOKENS.
+const readNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const providerConfig = (name, defaults = {}) => {
+  const prefix = name.toUpperCase();
+  return {
+    model: process.env[`${prefix}_MODEL`] || defaults.model,
+    maxTokens: readNumber(process.env[`${prefix}_MAX_TOKENS`]) ?? defaults.maxTokens,
+    temperature: readNumber(process.env[`${prefix}_TEMPERATURE`]) ?? defaults.temperature,
+    // Context window of the model (prompt and answer together), in tokens
+    contextTokens: readNumber(process.env[`${prefix}_CONTEXT_TOKENS`]) ?? defaults.contextTokens,
+  };
+};
+
+module.exports = { providerConfig };
@@ -0,0 +1,35 @@
+// Error raised by an LLM provider adapter. `retryable` tells the registry
+// whether the next provider in the fallback chain should be tried.
+class ProviderError extends Error {
+  constructor(provider, message, { status, retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+const RETRYABLE_MESSAGE = /quota|rate.?limit|too many requests|overloaded|unavailable|timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed/i;
+
+// Quota (429), server side (5xx) and network errors are worth retrying on
+// another provider; anything else is most likely a problem with the request.
+const isRetryable = (status, message = '') => {
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_MESSAGE.test(message);
+};
+
+const toProviderError = (provider, error, status) => {
+  if (error instanceof ProviderError) return error;
+  const message = (error && error.message) || String(error);
+  return new ProviderError(provider, message, {
+    status,
+    retryable: isRetryable(status, message),
+    cause: error
+  });
+};
+
+module.exports = { ProviderError, isRetryable, toProviderError };
@@ -0,0 +1,79 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { providerConfig } = require('./config');
+const { ProviderError, toProviderError } = require('./errors');
+
+const name = 'gemini';
+
+let client;
+const getClient = () => {
+  if (!client) {
+    client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return client;
+};
+
+// The SDK folds the HTTP status into the message: "... [429 Too Many Requests] ..."
+const statusFromError = (error) => {
+  const match = /\[(\d{3})[ \]]/.exec((error && error.message) || '');
+  return match ? Number(match[1]) : undefined;
+};
+
+const generativeModel = (config) => getClient().getGenerativeModel({
+  model: config.model,
+  generationConfig: {
+    maxOutputTokens: config.maxTokens,
+    temperature: config.temperature,
+  },
+});
+
+const isTruncated = (response) => {
+  const candidate = response.candidates && response.candidates[0];
+  return !!candidate && candidate.finishReason === 'MAX_TOKENS';
+};
+
+const gemini = {
+  name,
+  config: () => providerConfig(name, { model: 'gemini-1.5-flash', contextTokens: 1000000 }),
+  // Average characters per token, for estimates (services/llm/tokens.js)
+  charsPerToken: 4,
+  isConfigured: () => !!process.env.GEMINI_API_KEY,
+
+  generate: async (prompt, options = {}) => {
+    const config = { ...gemini.config(), ...options };
+    try {
+      const result = await generativeModel(config).generateContent(prompt);
+      const response = await result.response;
+      const text = response.text();
+      if (!text) {
+        throw new ProviderError(name, 'Empty response from Gemini API', { retryable: true });
+      }
+      return { text, model: config.model, truncated: isTruncated(response) };
+    } catch (error) {
+      throw toProviderError(name, error, statusFromError(error));
+    }
+  },
+
+  // Like generate, calling `onToken(text)` for every piece of the answer as it arrives
+  stream: async (prompt, options = {}, onToken = () => {}) => {
+    const config = { ...gemini.config(), ...options };
+    try {
+      const result = await generativeModel(config).generateContentStream(prompt);
+      let text = '';
+      for await (const chunk of result.stream) {
+        const piece = chunk.text();
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      }
+      if (!text) {
+        throw new ProviderError(name, 'Empty response from Gemini API', { retryable: true });
+      }
+      return { text, model: config.model, truncated: isTruncated(await result.response) };
+    } catch (error) {
+      throw toProviderError(name, error, statusFromError(error));
+    }
+  },
+};
+
+module.exports = gemini;
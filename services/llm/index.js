@@ -0,0 +1,152 @@
+const gemini = require('./gemini');
+const mistral = require('./mistral');
+const cohere = require('./cohere');
+const { ProviderError } = require('./errors');
+const responseCache = require('./cache');
+
+// Registry of LLM providers. A provider is a plain object with
+// `name`, `config()`, `isConfigured()`, `charsPerToken` and
+// `async generate(prompt, options)` resolving to `{ text, model, truncated }`,
+// `truncated` being set when the answer was cut off at maxTokens. Providers
+// whose SDK can stream also have `async stream(prompt, options, onToken)`.
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.generate !== 'function') {
+    throw new Error('A provider needs a name and a generate function');
+  }
+  providers.set(provider.name.toLowerCase(), provider);
+};
+
+[gemini, mistral, cohere].forEach(registerProvider);
+
+const getProvider = (name) => providers.get(String(name || '').toLowerCase());
+const hasProvider = (name) => providers.has(String(name || '').toLowerCase());
+const providerNames = () => Array.from(providers.keys());
+
+// Order in which providers are tried when the requested one fails,
+// e.g. LLM_FALLBACK_ORDER=gemini,mistral,cohere
+const fallbackOrder = () => {
+  const configured = (process.env.LLM_FALLBACK_ORDER || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(hasProvider);
+  return configured.length > 0 ? configured : providerNames();
+};
+
+// The requested provider first, followed by the rest of the fallback order
+const buildChain = (name, fallback) => {
+  const first = name.toLowerCase();
+  if (!fallback) return [first];
+  return [first, ...fallbackOrder().filter(other => other !== first)];
+};
+
+// Runs `prompt` on the requested provider and, when it fails with a quota,
+// 5xx or network error, on the next provider in the chain. Resolves to
+// `{ text, provider, model, truncated, attempts }` where `provider` is the one that answered.
+// With `onToken` the answer is streamed where the provider supports it (and
+// passed whole otherwise); once part of it was sent there is no fallback.
+const generateUncached = async (prompt, provider, fallback, options, onToken) => {
+  const attempts = [];
+  let lastError;
+  for (const name of buildChain(provider, fallback)) {
+    const adapter = getProvider(name);
+    if (!adapter.isConfigured()) {
+      attempts.push({ provider: name, error: 'API key is not configured' });
+      lastError = new ProviderError(name, `${name} API key is not configured`, { retryable: true });
+      continue;
+    }
+
+    let streamed = false;
+    try {
+      let answer;
+      if (onToken && adapter.stream) {
+        answer = await adapter.stream(prompt, options, (token) => {
+          streamed = true;
+          onToken(token);
+        });
+      } else {
+        answer = await adapter.generate(prompt, options);
+        if (onToken) onToken(answer.text);
+      }
+      const { text, model, truncated = false } = answer;
+      return { text, provider: name, model, truncated, attempts };
+    } catch (error) {
+      console.error(`${name.toUpperCase()} API Error:`, error.message);
+      attempts.push({ provider: name, error: error.message, status: error.status });
+      lastError = error;
+      if (!error.retryable || streamed) break;
+      console.log(`Falling back from ${name} to the next provider`);
+    }
+  }
+
+  lastError.attempts = attempts;
+  throw lastError;
+};
+
+// Identical requests that are still waiting on a provider share its answer
+const inFlight = new Map();
+
+const cacheKeyFor = (prompt, name, options) => responseCache.cacheKey(prompt, name, {
+  ...getProvider(name).config(),
+  ...options
+});
+
+// generateUncached behind the response cache. A cached answer resolves with
+// `cached: true` and `cachedAt`; `forceRefresh` skips the lookup and replaces
+// the entry, `cache: false` bypasses the cache entirely. Answers are stored
+// under the provider that gave them, so a fallback answer is not replayed
+// for the requested provider. Answers cut off at maxTokens are not cached.
+// `onToken(text)` receives the answer as it is produced; cached and shared
+// answers arrive in one piece.
+const generate = async (prompt, { provider = 'gemini', fallback = true, cache = true, forceRefresh = false, onToken, ...options } = {}) => {
+  if (!hasProvider(provider)) {
+    throw new ProviderError(provider, `Unknown provider: ${provider}`);
+  }
+  const name = provider.toLowerCase();
+
+  if (!cache || !responseCache.isEnabled()) {
+    return generateUncached(prompt, name, fallback, options, onToken);
+  }
+
+  const key = cacheKeyFor(prompt, name, options);
+  if (!forceRefresh) {
+    const hit = await responseCache.lookup(key);
+    if (hit) {
+      console.log(`LLM cache hit for ${name} (${hit.model})`);
+      if (onToken) onToken(hit.text);
+      return { ...hit, truncated: false, attempts: [], cached: true };
+    }
+  }
+
+  const flightKey = `${key}:${fallback}`;
+  if (!forceRefresh && inFlight.has(flightKey)) {
+    console.log(`Joining an identical in-flight ${name} request`);
+    const shared = await inFlight.get(flightKey);
+    if (onToken) onToken(shared.text);
+    return { ...shared, coalesced: true };
+  }
+
+  const request = generateUncached(prompt, name, fallback, options, onToken)
+    .then(async result => {
+      if (!result.truncated) {
+        await responseCache.store(cacheKeyFor(prompt, result.provider, options), result);
+      }
+      return { ...result, cached: false };
+    })
+    .finally(() => {
+      if (inFlight.get(flightKey) === request) inFlight.delete(flightKey);
+    });
+  inFlight.set(flightKey, request);
+  return request;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  hasProvider,
+  providerNames,
+  fallbackOrder,
+  generate,
+  ProviderError,
+};
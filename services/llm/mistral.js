@@ -0,0 +1,78 @@
+const { providerConfig } = require('./config');
+const { ProviderError, toProviderError } = require('./errors');
+
+const name = 'mistral';
+
+// The Mistral SDK is ESM only, so it has to be loaded with a dynamic import.
+let clientPromise;
+const getClient = () => {
+  if (!clientPromise) {
+    clientPromise = import('@mistralai/mistralai')
+      .then(({ default: MistralClient }) => new MistralClient(process.env.MISTRAL_API_KEY));
+  }
+  return clientPromise;
+};
+
+const mistral = {
+  name,
+  config: () => providerConfig(name, { model: 'mistral-large-latest', contextTokens: 32000 }),
+  charsPerToken: 3.5,
+  isConfigured: () => !!process.env.MISTRAL_API_KEY,
+
+  generate: async (prompt, options = {}) => {
+    const config = { ...mistral.config(), ...options };
+    try {
+      const mistralClient = await getClient();
+      const response = await mistralClient.chat({
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        maxTokens: config.maxTokens,
+        temperature: config.temperature,
+      });
+      // On HTTP errors the SDK resolves with the error body instead of throwing
+      if (!response || !response.choices || !response.choices[0]) {
+        const message = (response && response.message) || 'Invalid response from Mistral API';
+        throw new ProviderError(name, typeof message === 'string' ? message : JSON.stringify(message), {
+          retryable: true,
+        });
+      }
+      const [choice] = response.choices;
+      return { text: choice.message.content, model: config.model, truncated: choice.finish_reason === 'length' };
+    } catch (error) {
+      throw toProviderError(name, error);
+    }
+  },
+
+  // Like generate, calling `onToken(text)` for every piece of the answer as it arrives
+  stream: async (prompt, options = {}, onToken = () => {}) => {
+    const config = { ...mistral.config(), ...options };
+    try {
+      const mistralClient = await getClient();
+      let text = '';
+      let finishReason;
+      for await (const chunk of mistralClient.chatStream({
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        maxTokens: config.maxTokens,
+        temperature: config.temperature,
+      })) {
+        const choice = chunk.choices && chunk.choices[0];
+        if (!choice) continue;
+        const piece = choice.delta && choice.delta.content;
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+        finishReason = choice.finish_reason || finishReason;
+      }
+      if (!text) {
+        throw new ProviderError(name, 'Empty response from Mistral API', { retryable: true });
+      }
+      return { text, model: config.model, truncated: finishReason === 'length' };
+    } catch (error) {
+      throw toProviderError(name, error);
+    }
+  },
+};
+
+module.exports = mistral;
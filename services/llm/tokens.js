@@ -0,0 +1,41 @@
+const { getProvider } = require('./index');
+
+// Token estimates. None of the provider SDKs we use ships a tokenizer, so
+// counts come from each provider's average characters per token; budgets
+// keep a safety margin for that reason.
+const SAFETY_MARGIN = 0.9;
+// Answer size used when a provider has no maxTokens set
+const DEFAULT_OUTPUT_TOKENS = 8192;
+
+const estimateTokens = (text, providerName) => {
+  const provider = getProvider(providerName);
+  const charsPerToken = (provider && provider.charsPerToken) || 4;
+  return Math.ceil(String(text || '').length / charsPerToken);
+};
+
+// Cuts `text` to about `maxTokens`, at a line break where possible.
+// Resolves to `{ text, truncated }`.
+const truncateToTokens = (text, maxTokens, providerName) => {
+  const value = String(text || '');
+  if (estimateTokens(value, providerName) <= maxTokens) return { text: value, truncated: false };
+  const provider = getProvider(providerName);
+  const maxChars = Math.max(Math.floor(maxTokens * ((provider && provider.charsPerToken) || 4)), 0);
+  const cut = value.slice(0, maxChars);
+  const lineBreak = cut.lastIndexOf('\n');
+  return { text: `${lineBreak > maxChars / 2 ? cut.slice(0, lineBreak) : cut}\n[...]`, truncated: true };
+};
+
+// `{ contextTokens, outputTokens, promptTokens }` for a provider, where
+// `promptTokens` is what is left of the context window for the prompt
+const tokenLimits = (providerName) => {
+  const config = getProvider(providerName).config();
+  const outputTokens = config.maxTokens || DEFAULT_OUTPUT_TOKENS;
+  const contextTokens = config.contextTokens || outputTokens * 2;
+  return {
+    contextTokens,
+    outputTokens,
+    promptTokens: Math.floor(Math.max(contextTokens - outputTokens, 0) * SAFETY_MARGIN),
+  };
+};
+
+module.exports = { SAFETY_MARGIN, estimateTokens, truncateToTokens, tokenLimits };
@@ -0,0 +1,17 @@
+// Prints messages to the server log. The default transport, so mail works
+// offline and in development without any setup.
+module.exports = {
+  name: 'console',
+  send: async (message) => {
+    console.log([
+      '--- Outgoing mail ---',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '---------------------'
+    ].join('\n'));
+    return { messageId: `console-${Date.now()}` };
+  }
+};
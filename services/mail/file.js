@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Writes every message as an .eml file to MAIL_DIR (default ./mail), where
+// it can be opened with any mail client or inspected by tests
+const mailDir = () => process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail');
+
+let transporter;
+
+module.exports = {
+  name: 'file',
+  send: async (message) => {
+    if (!transporter) {
+      transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    }
+    const info = await transporter.sendMail(message);
+
+    const dir = mailDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+    await fs.promises.writeFile(file, info.message);
+    return { messageId: info.messageId, file };
+  }
+};
@@ -0,0 +1,36 @@
+const consoleTransport = require('./console');
+const fileTransport = require('./file');
+const smtpTransport = require('./smtp');
+
+// Registry of mail transports. A transport is a plain object with `name`
+// and `async send(message)` where message is `{ from, to, subject, text, html }`.
+// MAIL_TRANSPORT picks the one in use (console, file or smtp).
+const transports = new Map();
+
+const registerTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('A mail transport needs a name and a send function');
+  }
+  transports.set(transport.name.toLowerCase(), transport);
+};
+
+[consoleTransport, fileTransport, smtpTransport].forEach(registerTransport);
+
+const activeTransport = () => {
+  const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+const sendMail = async (message) => {
+  const transport = activeTransport();
+  return transport.send({
+    from: process.env.MAIL_FROM || 'PYQuer <no-reply@pyquer.local>',
+    ...message
+  });
+};
+
+module.exports = { registerTransport, activeTransport, sendMail };
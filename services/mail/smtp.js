@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+// Sends through an SMTP server. Defaults to a local catcher such as
+// MailHog or smtp4dev on localhost:1025.
+const smtpConfig = () => {
+  const config = {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true'
+  };
+  if (process.env.SMTP_USER) {
+    config.auth = { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD };
+  }
+  return config;
+};
+
+let transporter;
+
+module.exports = {
+  name: 'smtp',
+  send: async (message) => {
+    if (!transporter) {
+      transporter = nodemailer.createTransport(smtpConfig());
+    }
+    const info = await transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+};
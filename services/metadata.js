@@ -0,0 +1,161 @@
+// Paper metadata (subject, year, exam session, university, course code):
+// auto-detection from the first page and merging with values sent by the caller.
+
+const EXAM_SESSIONS = ['mid-sem', 'end-sem', 'supplementary'];
+const METADATA_FIELDS = ['subject', 'year', 'examSession', 'university', 'courseCode'];
+
+// Detected values below this confidence are reported but not applied
+const MIN_CONFIDENCE = 0.5;
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?|summer|winter|autumn|spring';
+const MONTH_YEAR = new RegExp(`\\b(?:${MONTHS})(?:\\s*[-/]\\s*(?:${MONTHS}))?[\\s,.'-]*((?:19|20)\\d{2})\\b`, 'i');
+const BARE_YEAR = /\b((?:19|20)\d{2})\b/g;
+
+const SESSION_PATTERNS = [
+  { value: 'supplementary', pattern: /\b(?:supplementary|supple|re-?exam(?:ination)?|backlog|re-?appear|repeater)\b/i },
+  { value: 'mid-sem', pattern: /\b(?:mid[\s-]*(?:sem(?:ester)?|term)|in-?sem(?:ester)?|internal (?:assessment|exam(?:ination)?)|unit test|class test)\b/i },
+  { value: 'end-sem', pattern: /\b(?:end[\s-]*(?:sem(?:ester)?|term)|semester (?:end )?exam(?:ination)?|final exam(?:ination)?|ese)\b/i },
+];
+
+const LABELLED_CODE = /\b(?:course|subject|paper)\s*code\s*[:\-.]?\s*([A-Z0-9][A-Z0-9 -]{1,12}[A-Z0-9])/i;
+// CS301, BCS-401, 18CS54, KCS 501
+const BARE_CODE = /\b(\d{0,2}[A-Z]{2,4}[\s-]?\d{3}[A-Z]?)\b/;
+const LABELLED_SUBJECT = /\b(?:subject(?:\s*name)?|course\s*(?:name|title)|paper\s*(?:name|title))\s*[:\-]\s*(.{3,80})$/im;
+const UNIVERSITY = /^.*\b(?:university|institute of technology|vidyapeeth|college of engineering)\b.*$/im;
+
+const detected = (value, confidence) => ({ value, confidence });
+
+const detectYear = (text) => {
+  const monthYear = MONTH_YEAR.exec(text);
+  if (monthYear) return detected(Number(monthYear[1]), 0.9);
+
+  const currentYear = new Date().getFullYear();
+  const years = Array.from(text.matchAll(BARE_YEAR), match => Number(match[1]))
+    .filter(year => year >= 1990 && year <= currentYear + 1);
+  if (years.length === 0) return null;
+  // Several different years (e.g. a syllabus reference) make the guess weaker
+  const distinct = new Set(years);
+  return detected(Math.max(...years), distinct.size === 1 ? 0.6 : 0.4);
+};
+
+const detectExamSession = (text) => {
+  for (const { value, pattern } of SESSION_PATTERNS) {
+    if (pattern.test(text)) return detected(value, 0.8);
+  }
+  return null;
+};
+
+const detectCourseCode = (text) => {
+  const labelled = LABELLED_CODE.exec(text);
+  if (labelled) return detected(labelled[1].trim().toUpperCase(), 0.9);
+  const bare = BARE_CODE.exec(text);
+  return bare ? detected(bare[1].toUpperCase(), 0.5) : null;
+};
+
+const detectSubject = (text) => {
+  const labelled = LABELLED_SUBJECT.exec(text);
+  if (!labelled) return null;
+  // Headers often put the next label on the same line: "Subject: DBMS   Max Marks: 80"
+  const value = labelled[1].split(/\s{2,}|\b(?:max(?:imum)?\.? marks|time|duration|date|code)\b/i)[0].trim();
+  return value.length >= 3 ? detected(value, 0.8) : null;
+};
+
+const detectUniversity = (text) => {
+  const match = UNIVERSITY.exec(text);
+  return match ? detected(match[0].replace(/\s+/g, ' ').trim(), 0.7) : null;
+};
+
+// Guesses metadata from the text of a paper's first page. Every field is
+// `{ value, confidence }` (0-1) or null when nothing was found.
+const detectMetadata = (text) => {
+  const header = String(text || '');
+  return {
+    subject: detectSubject(header),
+    year: detectYear(header),
+    examSession: detectExamSession(header),
+    university: detectUniversity(header),
+    courseCode: detectCourseCode(header),
+  };
+};
+
+// Per-file values from the multipart body. Each field may be sent once for
+// all files or repeated in file order; a `metadata` field holding a JSON
+// array of objects in file order is also accepted.
+const readProvidedMetadata = (body, index) => {
+  let fromJson = {};
+  if (body.metadata) {
+    try {
+      const list = JSON.parse(body.metadata);
+      fromJson = (Array.isArray(list) ? list[index] : list) || {};
+    } catch (error) {
+      throw new Error('metadata must be a JSON array');
+    }
+  }
+
+  const provided = {};
+  for (const field of METADATA_FIELDS) {
+    let value = fromJson[field];
+    if (value === undefined && body[field] !== undefined) {
+      value = Array.isArray(body[field]) ? body[field][index] : body[field];
+    }
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      provided[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+  return provided;
+};
+
+// Returns an error message for invalid caller supplied values, or null
+const validateMetadata = (metadata) => {
+  for (const field of ['subject', 'university', 'courseCode']) {
+    // Numbers are accepted for codes like 18CS53 typed as JSON numbers
+    if (metadata[field] !== undefined && !['string', 'number'].includes(typeof metadata[field])) {
+      return `${field} must be a string`;
+    }
+  }
+  if (metadata.year !== undefined) {
+    const year = Number(metadata.year);
+    if (!Number.isInteger(year) || year < 1900 || year > new Date().getFullYear() + 1) {
+      return `Invalid year: ${metadata.year}`;
+    }
+  }
+  if (metadata.examSession !== undefined && !EXAM_SESSIONS.includes(metadata.examSession)) {
+    return `Invalid examSession, expected one of: ${EXAM_SESSIONS.join(', ')}`;
+  }
+  return null;
+};
+
+// Caller supplied values win, then confident detections, then defaults.
+// `metadataSource` says where each value came from.
+const resolveMetadata = (provided, detectedMetadata) => {
+  const defaults = {
+    subject: 'Unknown Subject',
+    year: new Date().getFullYear(),
+  };
+
+  const metadata = {};
+  const metadataSource = {};
+  for (const field of METADATA_FIELDS) {
+    const guess = detectedMetadata[field];
+    if (provided[field] !== undefined) {
+      metadata[field] = field === 'year' ? Number(provided[field]) : provided[field];
+      metadataSource[field] = 'provided';
+    } else if (guess && guess.confidence >= MIN_CONFIDENCE) {
+      metadata[field] = guess.value;
+      metadataSource[field] = 'detected';
+    } else if (defaults[field] !== undefined) {
+      metadata[field] = defaults[field];
+      metadataSource[field] = 'default';
+    }
+  }
+  return { metadata, metadataSource };
+};
+
+module.exports = {
+  EXAM_SESSIONS,
+  METADATA_FIELDS,
+  detectMetadata,
+  readProvidedMetadata,
+  validateMetadata,
+  resolveMetadata,
+};
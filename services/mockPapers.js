@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { segmentQuestions } = require('./questions');
+const { tokenize, clusterQuestions } = require('./similarity');
+const { analysisBlocks } = require('./export/blocks');
+
+// Mock exam papers built from the questions of a saved analysis. The paper
+// copies the structure of one source paper (question count, sub-parts and
+// marks) and fills every slot with a past question of similar marks, picked
+// at random with more weight for questions repeated across papers and
+// questions on predicted topics. The same analysis and seed always give the
+// same paper.
+
+const REPEAT_WEIGHT = 2;
+const PREDICTION_WEIGHT = 3;
+// Topic words a question has to share with a prediction, as a share of the shorter of the two
+const PREDICTION_MATCH = 0.5;
+
+// "Paper 2:" headers written by buildPapersText (services/prompt.js)
+const PAPER_HEADER = /^Paper (\d+):$/;
+// The "(Subject: DBMS; Year: 2022)" line buildPapersText puts before the text
+const PAPER_DETAILS = /^\((?:Subject|Course code|Year|Exam):/;
+
+// Splits saved papersText back into `{ number, text }` per paper
+const splitPapersText = (papersText) => {
+  const papers = [];
+  for (const line of String(papersText || '').split('\n')) {
+    const header = PAPER_HEADER.exec(line.trim());
+    if (header) {
+      papers.push({ number: Number(header[1]), lines: [] });
+    } else if (papers.length > 0) {
+      papers[papers.length - 1].lines.push(line);
+    }
+  }
+  return papers.map(paper => {
+    const lines = paper.lines.slice();
+    const first = lines.findIndex(line => line.trim());
+    if (first !== -1 && PAPER_DETAILS.test(lines[first].trim())) lines.splice(first, 1);
+    return { number: paper.number, text: lines.join('\n') };
+  });
+};
+
+// The stem of a question with parts is not asked on its own
+const askableQuestions = (questions) => {
+  const withParts = new Set(questions.filter(question => question.part).map(question => question.number));
+  return questions.filter(question => question.part || !withParts.has(question.number));
+};
+
+// Numbered questions with the part and marks of each of their slots
+const paperStructure = (questions) => {
+  const byNumber = new Map();
+  for (const question of askableQuestions(questions)) {
+    if (!byNumber.has(question.number)) byNumber.set(question.number, []);
+    byNumber.get(question.number).push({ part: question.part, marks: question.marks });
+  }
+  return Array.from(byNumber.values()).map(parts => ({ parts }));
+};
+
+// Prediction items of an analysis, from its JSON or its markdown
+const analysisPredictions = (history) => {
+  if (history.structured && Array.isArray(history.structured.predictions)) {
+    return history.structured.predictions;
+  }
+  const predictions = [];
+  let inPredictions = false;
+  for (const block of analysisBlocks(history)) {
+    if (block.type === 'heading') {
+      if (/predictions/i.test(block.text)) inPredictions = true;
+      else if (block.level <= 2) inPredictions = false;
+      continue;
+    }
+    if (!inPredictions) continue;
+    if (block.type === 'list') predictions.push(...block.items);
+    if (block.type === 'paragraph') predictions.push(...block.text.split('\n'));
+  }
+  return predictions.filter(Boolean);
+};
+
+// Overlap of topic words between the question and its closest prediction
+const predictionScore = (questionTokens, predictionTokens) => {
+  if (questionTokens.size === 0) return 0;
+  let best = 0;
+  for (const tokens of predictionTokens) {
+    let shared = 0;
+    for (const token of questionTokens) {
+      if (tokens.has(token)) shared += 1;
+    }
+    best = Math.max(best, shared / Math.min(questionTokens.size, tokens.size || 1));
+  }
+  return best;
+};
+
+// Seeds given as text or numbers are hashed into a 32 bit state
+const seedState = (seed) => crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+
+// mulberry32: small, fast and the same on every platform
+const seededRandom = (seed) => {
+  let state = seedState(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomSeed = () => crypto.randomBytes(4).readUInt32BE(0);
+
+const pickWeighted = (candidates, random) => {
+  const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+  let target = random() * total;
+  for (const candidate of candidates) {
+    target -= candidate.weight;
+    if (target < 0) return candidate;
+  }
+  return candidates[candidates.length - 1];
+};
+
+// Unused questions with marks closest to `marks` (all of them when unknown)
+const candidatesFor = (pool, marks, used) => {
+  const available = pool.filter(question => !used.has(question));
+  if (!marks) return available;
+  const withMarks = available.filter(question => question.marks);
+  if (withMarks.length === 0) return available;
+  const closest = Math.min(...withMarks.map(question => Math.abs(question.marks - marks)));
+  return withMarks.filter(question => Math.abs(question.marks - marks) === closest);
+};
+
+// Default template: the latest paper, or the longest among the latest
+const defaultTemplate = (papers) => papers.slice().sort((a, b) => (b.year || 0) - (a.year || 0)
+  || b.questions.length - a.questions.length
+  || b.number - a.number)[0];
+
+// Builds a mock paper from a saved analysis. `templatePaper` is the number
+// of the paper whose structure is copied. Throws with `status` 400 when the
+// analysis has no usable questions.
+const buildMockPaper = (history, { seed = randomSeed(), templatePaper } = {}) => {
+  const papersInfo = history.papersInfo || [];
+  const papers = splitPapersText(history.papersText).map(paper => ({
+    ...paper,
+    info: papersInfo[paper.number - 1] || {},
+    year: (papersInfo[paper.number - 1] || {}).year,
+    questions: segmentQuestions(paper.text),
+  })).filter(paper => paper.questions.length > 0);
+  if (papers.length === 0) {
+    const error = new Error('No questions found in the papers of this analysis');
+    error.status = 400;
+    throw error;
+  }
+
+  const template = templatePaper !== undefined
+    ? papers.find(paper => paper.number === Number(templatePaper))
+    : defaultTemplate(papers);
+  if (!template) {
+    const error = new Error(`Paper ${templatePaper} has no questions to copy the structure from`);
+    error.status = 400;
+    throw error;
+  }
+
+  const pool = papers.flatMap(paper => askableQuestions(paper.questions)
+    .map(question => ({ ...question, paper: paper.number, info: paper.info })));
+
+  const { clusters } = clusterQuestions(pool);
+  const clusterOf = new Map();
+  clusters.forEach(cluster => cluster.questions.forEach(question => clusterOf.set(question, cluster)));
+
+  const predictions = analysisPredictions(history).map(prediction => new Set(tokenize(prediction)));
+  for (const question of pool) {
+    const cluster = clusterOf.get(question);
+    question.repeated = cluster ? cluster.count : 1;
+    const score = predictionScore(new Set(tokenize(question.text)), predictions);
+    question.predicted = score >= PREDICTION_MATCH;
+    question.weight = 1 + REPEAT_WEIGHT * (question.repeated - 1) + (question.predicted ? PREDICTION_WEIGHT * score : 0);
+  }
+
+  const random = seededRandom(seed);
+  const used = new Set();
+  const take = (question) => {
+    // Variants of the same repeated question are not asked twice
+    const cluster = clusterOf.get(question);
+    (cluster ? cluster.questions : [question]).forEach(member => used.add(member));
+    pool.filter(other => other.text.toLowerCase() === question.text.toLowerCase()).forEach(other => used.add(other));
+  };
+
+  const questions = paperStructure(template.questions).map((slot, index) => ({
+    number: String(index + 1),
+    parts: slot.parts.map(({ part, marks }) => {
+      const candidates = candidatesFor(pool, marks, used);
+      if (candidates.length === 0) return null;
+      const question = pickWeighted(candidates, random);
+      take(question);
+      return {
+        part: part || undefined,
+        text: question.text,
+        marks: marks || question.marks || undefined,
+        repeated: question.repeated,
+        predicted: question.predicted,
+        source: {
+          paper: question.paper,
+          originalName: question.info.originalName,
+          year: question.info.year,
+          questionNumber: question.number,
+          part: question.part || undefined,
+        },
+      };
+    }).filter(Boolean),
+  })).filter(question => question.parts.length > 0);
+
+  const parts = questions.flatMap(question => question.parts);
+  const subjects = Array.from(new Set(papersInfo.map(paper => paper.subject).filter(Boolean)));
+  return {
+    title: `${subjects.join(' / ') || 'Practice'} Mock Paper`,
+    seed,
+    analysis: history._id,
+    template: { paper: template.number, originalName: template.info.originalName, year: template.year },
+    totalMarks: parts.reduce((total, part) => total + (part.marks || 0), 0) || undefined,
+    questions,
+    // How much of the paper comes from repeated and predicted questions
+    coverage: {
+      questions: parts.length,
+      repeated: parts.filter(part => part.repeated > 1).length,
+      predicted: parts.filter(part => part.predicted).length,
+    },
+  };
+};
+
+module.exports = { splitPapersText, analysisPredictions, buildMockPaper };
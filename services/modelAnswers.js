@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const ModelAnswer = require('../models/ModelAnswer');
+const llm = require('./llm');
+const { generateModelAnswerPrompt } = require('./prompt');
+const { extractJson } = require('./structuredAnalysis');
+const { analysisBlocks } = require('./export/blocks');
+const { extractMarks } = require('./questions');
+
+// Model answers for questions picked from an analysis or the question bank.
+// A question is described by `{ text, marks, subject, diagramFormat, source }`;
+// `diagramFormat` is set for questions that need a diagram.
+
+const SECTION_PATTERNS = [
+  ['repeated', /repeated questions/i],
+  ['difference', /questions asking for differences/i],
+  ['diagram', /questions requiring diagrams/i],
+  ['remaining', /remaining questions/i],
+];
+const DIAGRAM_WORDS = /\b(?:draw|diagram|sketch|illustrate|flow ?chart)\b/i;
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// About 50 words a mark; 300 when the marks are not known
+const answerWords = (marks) => (marks ? Math.min(Math.max(Math.round(marks * 50), 50), 1500) : 300);
+
+// Questions listed in an analysis, with the section they appear in
+const analysisQuestions = (history) => {
+  const questions = [];
+  let section = null;
+  for (const block of analysisBlocks(history)) {
+    if (block.type === 'heading') {
+      const match = SECTION_PATTERNS.find(([, pattern]) => pattern.test(block.text));
+      // Paper headings inside "Remaining Questions" keep the section
+      if (match || block.level <= 2) section = match ? match[0] : null;
+      continue;
+    }
+    if (!section) continue;
+    if (block.type === 'table') {
+      const column = Math.max(block.headers.findIndex(header => /question/i.test(header)), 0);
+      block.rows.forEach(row => row[column] && questions.push({ text: row[column], section }));
+    } else if (block.type === 'list') {
+      block.items.forEach(item => questions.push({ text: item, section }));
+    }
+  }
+  return questions;
+};
+
+const diagramFormatFor = (needsDiagram, format) => (needsDiagram ? format || 'mermaid' : undefined);
+
+// Question `text` of a saved analysis, or null when the analysis does not list it.
+// `diagram` (true/false) overrides the detection from its section and wording.
+const questionFromAnalysis = (history, text, { marks, diagram, diagramFormat } = {}) => {
+  const found = analysisQuestions(history).find(question => normalize(question.text) === normalize(text));
+  if (!found) return null;
+  const extracted = extractMarks(found.text);
+  const subjects = Array.from(new Set((history.papersInfo || []).map(paper => paper.subject).filter(Boolean)));
+  const needsDiagram = diagram !== undefined ? diagram : found.section === 'diagram' || DIAGRAM_WORDS.test(found.text);
+  return {
+    text: extracted.text,
+    marks: marks || extracted.marks || undefined,
+    subject: subjects.join(' / ') || undefined,
+    diagramFormat: diagramFormatFor(needsDiagram, diagramFormat),
+    source: { analysis: history._id, section: found.section },
+  };
+};
+
+// A question bank entry; `history` is the analysis it was saved from, if any
+const questionFromBank = (question, history, { marks, diagram, diagramFormat } = {}) => {
+  const listed = history && analysisQuestions(history).find(item => normalize(item.text) === normalize(question.text));
+  const needsDiagram = diagram !== undefined
+    ? diagram
+    : (listed && listed.section === 'diagram') || DIAGRAM_WORDS.test(question.text);
+  return {
+    text: question.text,
+    marks: marks || question.marks || undefined,
+    subject: question.subject,
+    diagramFormat: diagramFormatFor(needsDiagram, diagramFormat),
+    source: { question: question._id, analysis: history ? history._id : undefined, section: listed ? listed.section : undefined },
+  };
+};
+
+const questionKeyOf = (spec) => crypto.createHash('sha256')
+  .update([normalize(spec.text), spec.marks || '', normalize(spec.subject), spec.diagramFormat || ''].join('|'))
+  .digest('hex');
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+const toTextList = (value) => (Array.isArray(value) ? value.map(toText).filter(Boolean) : []);
+
+// Throws when the model output is not a usable answer
+const validateAnswer = (data, diagramFormat) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Output must be a JSON object');
+  }
+  const sections = (Array.isArray(data.sections) ? data.sections : [])
+    .filter(section => section && toText(section.content))
+    .map(section => ({ heading: toText(section.heading), content: toText(section.content) }));
+  if (sections.length === 0) {
+    throw new Error('"sections" must contain the answer');
+  }
+
+  const answer = { outline: toTextList(data.outline), sections, keyPoints: toTextList(data.keyPoints) };
+  if (diagramFormat) {
+    const diagram = data.diagram || {};
+    const source = toText(diagram.source);
+    const description = toText(diagram.description);
+    if (diagramFormat !== 'description' && !source) {
+      throw new Error('"diagram.source" is missing');
+    }
+    if (!source && !description) {
+      throw new Error('"diagram.description" is missing');
+    }
+    answer.diagram = { format: diagramFormat, source: source || undefined, description };
+  }
+  return answer;
+};
+
+// The cached answer to a question, generated first when there is none or
+// when `regenerate` is set. Resolves to `{ answer, cached }` with the
+// ModelAnswer document. Errors carry `status` 502 for unusable model output.
+const getModelAnswer = async (userId, spec, { provider = 'gemini', fallback = true, regenerate = false } = {}) => {
+  const questionKey = questionKeyOf(spec);
+  if (!regenerate) {
+    const existing = await ModelAnswer.findOne({ user: userId, questionKey });
+    if (existing) return { answer: existing, cached: true };
+  }
+
+  const prompt = generateModelAnswerPrompt({
+    question: spec.text,
+    marks: spec.marks,
+    subject: spec.subject,
+    words: answerWords(spec.marks),
+    diagramFormat: spec.diagramFormat,
+  });
+  const result = await llm.generate(prompt, { provider, fallback, forceRefresh: regenerate });
+
+  let answer;
+  try {
+    answer = validateAnswer(extractJson(result.text), spec.diagramFormat);
+  } catch (error) {
+    console.warn('Model answer did not validate:', error.message);
+    const unusable = new Error(`The model did not return a usable answer (${error.message}), try regenerating it`);
+    unusable.status = 502;
+    throw unusable;
+  }
+
+  const filter = { user: userId, questionKey };
+  const update = {
+    $set: { answer, provider: result.provider, model: result.model },
+    $setOnInsert: {
+      question: { text: spec.text, marks: spec.marks, subject: spec.subject, diagramFormat: spec.diagramFormat },
+      source: spec.source,
+    },
+    $inc: { generations: 1 },
+    // A rating belongs to the answer it was given for
+    $unset: { rating: 1 },
+  };
+  let saved;
+  try {
+    saved = await ModelAnswer.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // A concurrent request for the same question inserted it first; the
+    // answer was already paid for, so it replaces theirs
+    if (error.code !== 11000) throw error;
+    saved = await ModelAnswer.findOneAndUpdate(filter, update, { new: true });
+  }
+  return { answer: saved, cached: false };
+};
+
+module.exports = {
+  answerWords,
+  analysisQuestions,
+  questionFromAnalysis,
+  questionFromBank,
+  validateAnswer,
+  getModelAnswer,
+};
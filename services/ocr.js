@@ -0,0 +1,304 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const pdfParse = require('pdf-parse');
+const pdfImgConvert = require('pdf-img-convert');
+const Tesseract = require('tesseract.js');
+
+// OCR of scanned papers: pages are rendered at OCR_DPI, cleaned up
+// (grayscale, binarization, deskew) and recognized in parallel by a pool
+// of OCR_CONCURRENCY Tesseract workers that is shut down when idle.
+const ocrSettings = () => ({
+  concurrency: Math.max(1, Number(process.env.OCR_CONCURRENCY) || Math.min(os.cpus().length, 4)),
+  maxPages: Math.max(1, Number(process.env.OCR_MAX_PAGES) || 20),
+  dpi: Math.min(Math.max(Number(process.env.OCR_DPI) || 200, 72), 600),
+  minConfidence: Number(process.env.OCR_MIN_CONFIDENCE) || 60,
+  preprocess: process.env.OCR_PREPROCESS !== 'off',
+  idleTimeoutMs: Number(process.env.OCR_IDLE_TIMEOUT_MS) || 60 * 1000,
+});
+
+// Language data: OCR_LANG_PATH holds <code>.traineddata(.gz) files. When it
+// has none, only OCR_LANGUAGES (default eng) is allowed and tesseract.js
+// downloads it as before.
+const langPath = () => process.env.OCR_LANG_PATH || path.join(__dirname, '..', 'tessdata');
+const defaultLanguages = () => parseLanguages(process.env.OCR_LANGUAGES || 'eng');
+
+const TRAINEDDATA = /^([A-Za-z_]+)\.traineddata(\.gz)?$/;
+
+const localLanguageFiles = () => {
+  try {
+    return fs.readdirSync(langPath())
+      .map(file => TRAINEDDATA.exec(file))
+      .filter(Boolean)
+      .map(([, code, gzip]) => ({ code, gzip: !!gzip }));
+  } catch (error) {
+    return [];
+  }
+};
+
+const availableLanguages = () => {
+  const local = localLanguageFiles().map(file => file.code);
+  return local.length > 0 ? local : defaultLanguages();
+};
+
+// "eng+hin", "eng, hin" or ['eng', 'hin'] -> ['eng', 'hin']
+function parseLanguages(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[+,\s]+/);
+  return Array.from(new Set(list.map(code => String(code).trim()).filter(Boolean)));
+}
+
+// Returns an error message when a language has no local traineddata, or null
+const validateLanguages = (languages) => {
+  if (languages.length === 0) {
+    return 'At least one OCR language is required';
+  }
+  const available = availableLanguages();
+  const missing = languages.filter(code => !available.includes(code));
+  if (missing.length > 0) {
+    return `Unsupported OCR language(s): ${missing.join(', ')}. Available: ${available.join(', ')}`;
+  }
+  return null;
+};
+
+// Worker options pointing tesseract.js at the local language files
+const workerOptions = (languages) => {
+  const files = localLanguageFiles().filter(file => languages.includes(file.code));
+  if (files.length === 0) return {};
+  return { langPath: langPath(), gzip: files.every(file => file.gzip), cacheMethod: 'none' };
+};
+
+// Deskew searches this range of angles (degrees) in DESKEW_STEP increments
+const MAX_SKEW = 5;
+const DESKEW_STEP = 0.25;
+// Width of the thumbnail the skew is measured on
+const DESKEW_WIDTH = 800;
+
+// One pool per language combination, each shut down after being idle
+const pools = new Map();
+
+const createPool = (size, languages) => {
+  const scheduler = Tesseract.createScheduler();
+  const ready = Promise.all(Array.from({ length: size }, async () => {
+    scheduler.addWorker(await Tesseract.createWorker(languages, undefined, workerOptions(languages)));
+  }));
+  return { scheduler, size, ready, activeJobs: 0, idleTimer: null };
+};
+
+const shutdownPool = async (key) => {
+  const pool = pools.get(key);
+  if (!pool) return;
+  pools.delete(key);
+  clearTimeout(pool.idleTimer);
+  try {
+    await pool.scheduler.terminate();
+    console.log(`OCR worker pool for ${key} shut down`);
+  } catch (error) {
+    console.error('OCR pool shutdown error:', error);
+  }
+};
+
+const shutdownPools = () => Promise.all(Array.from(pools.keys()).map(shutdownPool));
+
+const releasePool = (key, pool) => {
+  pool.activeJobs = Math.max(pool.activeJobs - 1, 0);
+  if (pool.activeJobs === 0 && pools.get(key) === pool) {
+    clearTimeout(pool.idleTimer);
+    pool.idleTimer = setTimeout(() => shutdownPool(key), ocrSettings().idleTimeoutMs);
+    pool.idleTimer.unref();
+  }
+};
+
+const acquirePool = async (languages) => {
+  const key = languages.join('+');
+  const { concurrency } = ocrSettings();
+
+  let pool = pools.get(key);
+  if (!pool) {
+    console.log(`Starting ${concurrency} OCR worker(s) for ${key}`);
+    pool = createPool(concurrency, languages);
+    pools.set(key, pool);
+  }
+  clearTimeout(pool.idleTimer);
+  pool.activeJobs += 1;
+
+  try {
+    await pool.ready;
+  } catch (error) {
+    if (pools.get(key) === pool) pools.delete(key);
+    throw error;
+  }
+  return { key, pool };
+};
+
+// Otsu's method: the lowest gray level counted as paper rather than ink
+const otsuThreshold = (pixels) => {
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) histogram[value] += 1;
+
+  const total = pixels.length;
+  let sum = 0;
+  for (let level = 0; level < 256; level++) sum += level * histogram[level];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 128;
+  for (let level = 0; level < 256; level++) {
+    weightBackground += histogram[level];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+    sumBackground += level * histogram[level];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = level + 1;
+    }
+  }
+  return threshold;
+};
+
+// Skew of the text lines in degrees, found by rotating the dark pixels of a
+// thumbnail and keeping the angle whose row profile is the most peaked
+const detectSkew = (pixels, width, height, threshold) => {
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] < threshold) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  if (xs.length === 0) return 0;
+
+  const rowCount = width + height;
+  let bestAngle = 0;
+  let bestScore = -1;
+  for (let angle = -MAX_SKEW; angle <= MAX_SKEW + 1e-9; angle += DESKEW_STEP) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Float64Array(rowCount);
+    for (let i = 0; i < xs.length; i++) {
+      const row = Math.round(ys[i] * cos - xs[i] * sin) + width;
+      if (row >= 0 && row < rowCount) rows[row] += 1;
+    }
+    let score = 0;
+    for (const count of rows) score += count * count;
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+  return Number(bestAngle.toFixed(2));
+};
+
+// Grayscale, deskewed and binarized PNG of a rendered page
+const preprocessPage = async (image) => {
+  const { data, info } = await sharp(image)
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize({ width: DESKEW_WIDTH, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const skewAngle = detectSkew(data, info.width, info.height, otsuThreshold(data));
+
+  let cleaned = sharp(image).flatten({ background: '#ffffff' }).grayscale().normalise();
+  if (skewAngle !== 0) {
+    // Rotate back by the measured skew; corners are filled with paper white
+    cleaned = cleaned.rotate(-skewAngle, { background: '#ffffff' });
+  }
+  const page = sharp(await cleaned.toColourspace('b-w').png().toBuffer());
+  const { data: full } = await page.clone().raw().toBuffer({ resolveWithObject: true });
+  const buffer = await page.threshold(otsuThreshold(full)).toColourspace('b-w').png().toBuffer();
+  return { buffer, skewAngle };
+};
+
+const countPages = async (pdfBuffer) => {
+  const { numpages } = await pdfParse(pdfBuffer, { max: 1, pagerender: () => '' });
+  return numpages;
+};
+
+// OCRs a scanned PDF, or only its `pageNumbers` (1-based) when given.
+// `onPage(done, total)` is called as pages finish. Resolves to
+// `{ pages, report }` where `pages` is the text of each OCR'd page, in the
+// order of `report.pages`, and `report` holds per-page confidence (0-100),
+// the low confidence pages and the pages skipped because of OCR_MAX_PAGES.
+const recognizePdf = async (pdfBuffer, { languages = defaultLanguages(), pageNumbers: requested, onPage = () => {} } = {}) => {
+  const settings = ocrSettings();
+  const totalPages = await countPages(pdfBuffer);
+  const wanted = requested || Array.from({ length: totalPages }, (value, index) => index + 1);
+  const pageNumbers = wanted.slice(0, settings.maxPages);
+  const skippedPages = wanted.slice(settings.maxPages);
+  if (skippedPages.length > 0) {
+    console.warn(`OCR limited to ${pageNumbers.length} of ${wanted.length} pages (OCR_MAX_PAGES)`);
+  }
+
+  const images = await pdfImgConvert.convert(pdfBuffer, { scale: settings.dpi / 72, page_numbers: pageNumbers });
+
+  const { key, pool } = await acquirePool(languages);
+  const { scheduler } = pool;
+  let done = 0;
+  try {
+    const results = await Promise.all(images.map(async (image, index) => {
+      const { buffer, skewAngle } = settings.preprocess
+        ? await preprocessPage(Buffer.from(image))
+        : { buffer: Buffer.from(image), skewAngle: null };
+      const { data } = await scheduler.addJob('recognize', buffer);
+      done += 1;
+      onPage(done, images.length);
+      return {
+        text: data.text,
+        page: pageNumbers[index],
+        confidence: Math.round(data.confidence),
+        skewAngle,
+      };
+    }));
+
+    const pages = results.map(result => ({
+      page: result.page,
+      confidence: result.confidence,
+      lowConfidence: result.confidence < settings.minConfidence,
+      skewAngle: result.skewAngle,
+    }));
+    const confidences = pages.map(page => page.confidence);
+    return {
+      pages: results.map(result => result.text),
+      report: {
+        languages,
+        dpi: settings.dpi,
+        totalPages,
+        processedPages: pages.length,
+        truncated: skippedPages.length > 0,
+        skippedPages,
+        meanConfidence: confidences.length > 0
+          ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+          : null,
+        minConfidence: settings.minConfidence,
+        lowConfidencePages: pages.filter(page => page.lowConfidence).map(page => page.page),
+        pages,
+      },
+    };
+  } finally {
+    releasePool(key, pool);
+  }
+};
+
+module.exports = {
+  ocrSettings,
+  defaultLanguages,
+  availableLanguages,
+  parseLanguages,
+  validateLanguages,
+  otsuThreshold,
+  detectSkew,
+  preprocessPage,
+  countPages,
+  recognizePdf,
+  shutdownPools,
+};
@@ -0,0 +1,163 @@
+const path = require('path');
+const fs = require('fs');
+const pdfParse = require('pdf-parse');
+const { recognizePdf, defaultLanguages, parseLanguages } = require('./ocr');
+const { hashFile, getCachedExtraction, saveExtraction } = require('./extractionCache');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Stored files are named <32 hex chars>.<ext>; anything else sent as a
+// fileId (e.g. "../.env") is rejected rather than joined onto UPLOAD_DIR
+const FILE_ID = /^[a-f0-9]{32}\.[a-z]{3,4}$/;
+
+const isValidFileId = (fileId) => typeof fileId === 'string' && FILE_ID.test(fileId);
+
+const uploadPath = (fileId) => (isValidFileId(fileId) ? path.join(UPLOAD_DIR, fileId) : null);
+
+// The text layer of a PDF, one string per page. Lines are split the same
+// way as pdf-parse's default renderer.
+const extractTextPages = async (pdfBuffer) => {
+  const pages = [];
+  const renderPage = async (pageData) => {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    pages[pageData.pageIndex] = text;
+    return text;
+  };
+  await pdfParse(pdfBuffer, { pagerender: renderPage });
+  return pages.map(page => page || '');
+};
+
+// Pages whose text layer has fewer letters and digits than this are OCR'd
+const minTextChars = () => Number(process.env.TEXT_LAYER_MIN_CHARS) || 40;
+
+const meaningfulChars = (text) => (String(text || '').match(/[\p{L}\p{N}]/gu) || []).length;
+
+// Per-page plan from the text layer: `{ page, method: 'text' | 'ocr', characters }`.
+// A typed cover page followed by scanned question pages gets both methods.
+const planExtraction = (textPages) => textPages.map((text, index) => {
+  const characters = meaningfulChars(text);
+  return { page: index + 1, method: characters >= minTextChars() ? 'text' : 'ocr', characters };
+});
+
+// 'text', 'ocr' or 'mixed' for a page report
+const extractionMethod = (pageReport) => {
+  const methods = new Set(pageReport.map(page => page.method).filter(method => method !== 'skipped'));
+  if (methods.size > 1) return 'mixed';
+  return methods.has('ocr') ? 'ocr' : 'text';
+};
+
+// Extracts a PDF page by page: the text layer where it is usable, OCR for
+// the rest (every page when the PDF has no readable text layer at all).
+// Resolves to `{ method, pages, pageReport, ocr, languages }`; pages beyond
+// OCR_MAX_PAGES are reported with method 'skipped' and left empty.
+const extractPdf = async (pdfBuffer, { languages = defaultLanguages(), onPage } = {}) => {
+  let textPages = [];
+  try {
+    textPages = await extractTextPages(pdfBuffer);
+  } catch (parseError) {
+    console.warn('Error reading the PDF text layer, falling back to OCR:', parseError.message);
+  }
+
+  const plan = planExtraction(textPages);
+  const ocrPageNumbers = plan.filter(page => page.method === 'ocr').map(page => page.page);
+  if (plan.length > 0 && ocrPageNumbers.length === 0) {
+    return { method: 'text', pages: textPages, pageReport: plan };
+  }
+
+  const { pages: ocrPages, report } = await recognizePdf(pdfBuffer, {
+    pageNumbers: plan.length > 0 ? ocrPageNumbers : undefined,
+    languages,
+    onPage
+  });
+
+  const pages = plan.length > 0 ? [...textPages] : new Array(report.totalPages).fill('');
+  const pageReport = plan.length > 0
+    ? plan.map(page => ({ ...page }))
+    : pages.map((text, index) => ({ page: index + 1, method: 'ocr', characters: 0 }));
+
+  report.pages.forEach((info, index) => {
+    pages[info.page - 1] = ocrPages[index];
+    Object.assign(pageReport[info.page - 1], {
+      method: 'ocr',
+      characters: meaningfulChars(ocrPages[index]),
+      confidence: info.confidence,
+      lowConfidence: info.lowConfidence
+    });
+  });
+  for (const page of report.skippedPages) {
+    pages[page - 1] = '';
+    pageReport[page - 1].method = 'skipped';
+  }
+
+  return { method: extractionMethod(pageReport), pages, pageReport, ocr: report, languages };
+};
+
+// Text of a paper from its extracted pages; skipped and blank pages add nothing
+const joinPages = (pages) => pages.filter(page => page && page.trim()).join('\n\n');
+
+// Extracts the text of every uploaded paper. `onProgress` is called with
+// `{ stage, paper, paperIndex, totalPapers, page, totalPages }` as work advances.
+const parsePapers = async (papers, onProgress = () => {}) => {
+  const parsedPapers = [];
+  for (const [paperIndex, paper] of papers.entries()) {
+    const filePath = uploadPath(paper.fileId);
+    if (!filePath || !fs.existsSync(filePath)) {
+      console.warn(`File not found: ${paper.fileId}`);
+      continue;
+    }
+    const progress = { paper: paper.originalName, paperIndex: paperIndex + 1, totalPapers: papers.length };
+    onProgress({ stage: 'extracting', ...progress });
+
+    // Papers seen before (same content hash) reuse the cached pages
+    const languages = paper.ocrLanguages ? parseLanguages(paper.ocrLanguages) : defaultLanguages();
+    const contentHash = await hashFile(filePath);
+    let extraction = await getCachedExtraction(contentHash, { languages });
+    const cacheHit = !!extraction;
+    if (cacheHit) {
+      console.log(`Extraction cache hit for ${paper.originalName} (${extraction.method}, ${extraction.pages.length} pages)`);
+    } else {
+      console.log(`Extracting text from ${paper.originalName}`);
+      extraction = await extractPdf(fs.readFileSync(filePath), {
+        languages,
+        onPage: (page, totalPages) => onProgress({ stage: 'ocr', ...progress, page, totalPages })
+      });
+      if (extraction.method !== 'text') {
+        const ocrCount = extraction.pageReport.filter(page => page.method === 'ocr').length;
+        console.log(`OCR used for ${ocrCount} of ${extraction.pageReport.length} page(s) of ${paper.originalName}`);
+      }
+      if (extraction.ocr && extraction.ocr.lowConfidencePages.length > 0) {
+        console.warn(`Low OCR confidence for ${paper.originalName} on page(s) ${extraction.ocr.lowConfidencePages.join(', ')}`);
+      }
+      await saveExtraction(contentHash, { ...extraction, size: fs.statSync(filePath).size });
+    }
+    const text = joinPages(extraction.pages);
+
+    // console.log(`Paper: ${paper.originalName}, Text Extracted (first 100 chars): ${text.substring(0, 100)}...`);
+    // console.log(`OCR Used for ${paper.originalName}: ${!!text && paper.needsOCR}`);
+    parsedPapers.push({
+      fileId: paper.fileId,
+      text,
+      subject: paper.subject,
+      year: paper.year,
+      examSession: paper.examSession,
+      university: paper.university,
+      courseCode: paper.courseCode,
+      originalName: paper.originalName,
+      needsOCR: extraction.method !== 'text',
+      extraction: { method: extraction.method, pages: extraction.pageReport },
+      ocr: extraction.ocr,
+      ocrLanguages: extraction.method !== 'text' ? extraction.languages : undefined,
+      contentHash,
+      cacheHit
+    });
+  }
+  return parsedPapers;
+};
+
+module.exports = { UPLOAD_DIR, isValidFileId, uploadPath, extractTextPages, planExtraction, extractionMethod, parsePapers };
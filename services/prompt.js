@@ -0,0 +1,353 @@
+// not supported sentence sub..
+const isMathSubject = (papers) => {
+  return papers.some(paper => {
+    const subject = (paper.subject || '').toLowerCase();
+    return subject.includes('math') || 
+           subject.includes('mathematics') ||
+           subject.includes('calculus') ||
+           subject.includes('algebra') ||
+           subject.includes('theory of computation') ||
+           subject.includes('toc') ||
+           subject.includes('discrete mathematics') ||
+           subject.includes('dm') ||
+           subject.includes('compiler design') ||
+           subject.includes('compiler') ||
+           subject.includes('automata') ||
+           subject.includes('formal languages') ||
+           subject.includes('cd');
+  });
+};
+
+// Repeated question groups found locally (services/similarity.js), listed
+// for the model so it only has to label them
+const formatRepetitionsForPrompt = (clusters) => {
+  if (clusters.length === 0) return '(none)';
+  return clusters.map(cluster => [
+    `Group ${cluster.id} (count ${cluster.count}; ${cluster.papers.map(paper => `Paper ${paper}`).join(', ')}):`,
+    ...cluster.questions.map(question => `- Paper ${question.paper}, ${question.label}: "${question.text}"`)
+  ].join('\n')).join('\n\n');
+};
+
+// prompt
+// When `clusters` is given, section 1 is built from those groups instead of
+// asking the model to find repeated questions itself.
+const generatePrompt = (papersText, isMathSubject, clusters) => {
+  const repeatedSection = clusters ? `1. Repeated Questions Analysis:
+The repeated questions have already been detected and are listed under DETECTED REPEATED QUESTIONS at the end. Do NOT look for other repeated questions and do NOT change any count or paper. For each group, in the given order, write one row whose Question starts with the group number followed by a short label that summarizes what its questions ask, and format the table like this:
+` : `1. Repeated Questions Analysis:
+Identify repeated or semantically similar questions that appear in two or more papers. These may not be worded exactly the same but should have substantially the same meaning or ask about the same concept. Group them together and format in a table like this:
+`;
+  const detectedSection = clusters ? `
+DETECTED REPEATED QUESTIONS:
+${formatRepetitionsForPrompt(clusters)}
+` : '';
+
+  return `
+You are an assistant that analyzes previous year questions. From the uploaded list of questions, provide a comprehensive analysis.
+
+${isMathSubject ? 'NOTE: This analysis tool works best for theory subjects. For mathematics, theory of computation, discrete mathematics, compiler design, and similar technical subjects, the analysis will be more general and focus on question patterns and types rather than exact content.' : ''}
+
+You must return the results in EXACTLY this format, including ALL sections and subsections:
+
+${repeatedSection}
+| Question  | Repeated Count | Papers Appeared |
+|------------------|----------------|------------------|
+${clusters ? `| Group 1: Ensemble Learning | 2 | Paper 1, Paper 3 |
+| Group 2: Bagging and Boosting | 2 | Paper 2, Paper 4 |` : `| Ensemble Learning (e.g., "Discuss Ensemble Learning", "Explain Ensemble Learning in detail") | 2 | Paper 1, Paper 3 |
+| Bagging and Boosting (e.g., "Explain Bagging and Boosting", "Describe Bagging, Boosting, Stacking") | 2 | Paper 2, Paper 4 |`}
+
+If there are NO repeated or semantically similar questions${clusters ? ' (no detected groups)' : ''}, simply state:
+"No repeated or semantically similar questions found across the papers."
+
+2. Questions Asking for Differences:
+If there are questions asking for differences, format them in a table like this:
+| Question | Papers Appeared |
+|----------|-----------------|
+| Compare and contrast X and Y | Paper 1, Paper 3 |
+| Differentiate between A and B | Paper 2 |
+
+If there are NO questions asking for differences, simply state:
+"No questions asking for differences found in the papers."
+
+3. Questions Requiring Diagrams:
+If there are questions requiring diagrams, format them in a table like this:
+| Question | Papers Appeared |
+|----------|-----------------|
+| Draw and explain the architecture of... | Paper 1 |
+| Illustrate the process flow of... | Paper 2, Paper 3 |
+
+If there are NO questions requiring diagrams, simply state:
+"No questions requiring diagrams found in the papers."
+
+4. Remaining Questions:
+List only those questions that are not already included in the above three sections (Repeated Questions, Differences, Diagrams).
+These should be unique questions that have not been mentioned in any previous section.
+List them exactly as they appear in the input papers, using the format below:
+
+Paper 1:
+q1. a) [Question text]  
+b) [Question text]  
+c) [Question text]  
+
+q2. a) [Question text]  
+b) [Question text]  
+c) [Question text]  
+
+[and so on for all remaining papers…]
+Do not duplicate any question already covered in Sections 1, 2, or 3.
+
+Maintain blank lines between each question group for readability.
+
+Do not summarize or reword questions; use the exact original text from the papers.
+
+
+5. Study Recommendations:
+Based on the analysis of all papers, here are the key recommendations for students:
+
+1. Important Topics:
+   - Focus on frequently repeated topics
+   - Pay attention to topics that appeared in recent papers
+
+2. Question Patterns:
+   - Practice answering difference-based questions
+   - Be prepared for questions requiring diagrams
+   - Note if there's a trend towards more application-based or theoretical questions
+
+3. Preparation Strategy:
+   - Prioritize studying topics identified as 'Important Topics'
+   - Practice drawing diagrams for concepts listed in section 3
+   - Work through remaining questions from Section 4
+
+6. Predictions:
+Based on the analysis of all papers, provide predictions for the upcoming year's paper. Include specific topics or question types that are highly likely to appear.
+
+IMPORTANT:
+- **For the 'Papers Appeared' column, you MUST ONLY include the paper number (e.g., 'Paper 1', 'Paper 2'). You are ABSOLUTELY FORBIDDEN from including any year information (e.g., 'Paper 1 (2020)', 'Paper 1 (Unknown Year)'). Focus solely on the paper number provided in the INPUT PAPERS.**
+- Keep the exact format shown above for all sections.
+- For sections 1, 2, and 3, if no matching questions are found, use the "No X found" message instead of an empty table.
+- Do not add any extra sections or information before or after the specified sections.
+- Do not modify the question text from the input papers.
+- Use proper markdown table formatting only when there are actual items to display.
+- For technical subjects (mathematics, theory of computation, discrete mathematics, compiler design, etc.), focus on question patterns and types rather than exact content when generating recommendations.
+- Always start with Paper 1 in section 4.
+- Add blank lines between questions within a paper in section 4.
+- *Ensure section 5 is filled with actual, specific recommendations and not just the structure or placeholders.*
+- *Ensure section 6 is filled with actual, specific predictions and not just the structure or placeholders.*
+
+INPUT PAPERS:
+${papersText}
+${detectedSection}`;
+};
+
+// JSON variant of generatePrompt, used for format=json.
+// The shape must stay in sync with services/structuredAnalysis.js
+const generateJsonPrompt = (papersText, isMathSubject, clusters) => {
+  const repeatedRule = clusters
+    ? '- "repeatedQuestions": the groups listed under DETECTED REPEATED QUESTIONS at the end, one item per group in the given order, with "group" set to the group number and "question" set to a short label summarizing the group. Do NOT look for other repeated questions and do NOT change any count or paper.'
+    : '- "repeatedQuestions": repeated or semantically similar questions that appear in two or more papers. "variants" are the exact wordings from the papers, "count" is the number of occurrences.';
+  const detectedSection = clusters ? `
+DETECTED REPEATED QUESTIONS:
+${formatRepetitionsForPrompt(clusters)}
+` : '';
+
+  return `
+You are an assistant that analyzes previous year questions. From the uploaded list of questions, provide a comprehensive analysis.
+
+${isMathSubject ? 'NOTE: This analysis tool works best for theory subjects. For mathematics, theory of computation, discrete mathematics, compiler design, and similar technical subjects, the analysis will be more general and focus on question patterns and types rather than exact content.' : ''}
+
+Return ONLY a single JSON object, with no markdown code fences and no text before or after it, in EXACTLY this shape:
+
+{
+  "repeatedQuestions": [
+    { ${clusters ? '"group": 1, ' : ''}"question": "Ensemble Learning", "variants": ["Discuss Ensemble Learning", "Explain Ensemble Learning in detail"], "count": 2, "papers": [1, 3] }
+  ],
+  "differenceQuestions": [
+    { "question": "Compare and contrast X and Y", "papers": [1, 3] }
+  ],
+  "diagramQuestions": [
+    { "question": "Draw and explain the architecture of...", "papers": [1] }
+  ],
+  "remainingQuestions": [
+    { "paper": 1, "questions": [ { "number": "q1 a", "text": "[Question text]" } ] }
+  ],
+  "recommendations": {
+    "importantTopics": ["..."],
+    "questionPatterns": ["..."],
+    "preparationStrategy": ["..."]
+  },
+  "predictions": ["..."]
+}
+
+Rules:
+${repeatedRule}
+- "differenceQuestions": questions asking for differences, comparisons or contrasts.
+- "diagramQuestions": questions requiring diagrams.
+- "remainingQuestions": every question not already listed in the three lists above, grouped by paper, using the exact original text. Start with paper 1.
+- "papers" and "paper" are paper NUMBERS from the INPUT PAPERS (1 for Paper 1), never years or names.
+- Use an empty array when a list has no items. Never omit a key.
+- "recommendations" and "predictions" must contain actual, specific items and not placeholders.
+- Do not modify the question text from the input papers.
+
+INPUT PAPERS:
+${papersText}
+${detectedSection}`;
+};
+
+// Asks the model to fix output that did not validate against the JSON shape
+const generateJsonRepairPrompt = (previousOutput, errors) => {
+  return `
+The JSON below was supposed to be a previous year question analysis but it is invalid:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON object, with no markdown code fences and no text before or after it.
+Keep every question and its text unchanged; only fix the structure.
+
+INVALID OUTPUT:
+${previousOutput}
+`;
+};
+
+// Merge pass of a chunked analysis (services/chunkedAnalysis.js). The
+// questions found in every chunk are listed with ids; the model groups them
+// across chunks and writes the recommendations for the whole set.
+// With `groupsFixed` the repeated groups were detected locally and are only labelled.
+const generateMergePrompt = (candidatesText, { groupsFixed, isMathSubject }) => {
+  const repeatedRule = groupsFixed
+    ? '- "repeatedQuestions": one item per R group, in the given order, with "members" set to that one R id and "question" set to a short label summarizing the group. Do NOT add, merge or split groups.'
+    : '- "repeatedQuestions": every group of repeated or semantically similar questions that appear in two or more papers. Merge R groups that ask the same thing, and add Q questions that repeat an R group or each other. "members" are the ids of the group\'s R groups and Q questions; every R id must appear in exactly one group.';
+
+  return `
+You are an assistant that analyzes previous year questions. The papers were too long to analyze at once, so they were analyzed in parts. Below are the questions found in all parts, each with an id:
+- R: groups of repeated questions
+- D: questions asking for differences
+- G: questions requiring diagrams
+- Q: all other questions
+"P" lists the numbers of the papers a question appeared in.
+
+${isMathSubject ? 'NOTE: These are technical subjects; base the recommendations on question patterns and types rather than exact content.' : ''}
+
+Return ONLY a single JSON object, with no markdown code fences and no text before or after it, in EXACTLY this shape:
+
+{
+  "repeatedQuestions": [
+    { "question": "Ensemble Learning", "members": ["R1", "Q14"] }
+  ],
+  "recommendations": {
+    "importantTopics": ["..."],
+    "questionPatterns": ["..."],
+    "preparationStrategy": ["..."]
+  },
+  "predictions": ["..."]
+}
+
+Rules:
+${repeatedRule}
+- "recommendations" and "predictions" cover ALL the papers and must contain actual, specific items and not placeholders.
+- Use an empty array when a list has no items. Never omit a key.
+
+QUESTIONS:
+${candidatesText}
+`;
+};
+
+const formatTurns = (messages) => messages
+  .map(message => `${message.role === 'user' ? 'Student' : 'Assistant'}: ${message.content}`)
+  .join('\n\n');
+
+// Follow-up question about a saved analysis (services/chat.js). The papers
+// and the analysis may have been shortened to fit the provider's context.
+const generateChatPrompt = ({ papersText, analysis, summary, messages, question }) => {
+  return `
+You are a study assistant helping a student prepare for an exam. Earlier you analyzed their previous year question papers. Answer the student's question using the papers and the analysis below. Be specific: refer to the actual questions, papers and years, and say so when the papers do not answer the question.
+
+INPUT PAPERS:
+${papersText}
+
+ANALYSIS:
+${analysis}
+${summary ? `
+SUMMARY OF THE CONVERSATION SO FAR:
+${summary}
+` : ''}${messages.length > 0 ? `
+RECENT MESSAGES:
+${formatTurns(messages)}
+` : ''}
+Student: ${question}
+Assistant:`;
+};
+
+// Folds older chat messages into the running summary of a conversation
+const generateChatSummaryPrompt = (summary, messages) => {
+  return `
+Summarize the conversation below between a student and a study assistant about the student's previous year question papers, in at most 150 words. Keep the student's goals, the questions they asked and the specific advice, topics and units mentioned. Return only the summary.
+${summary ? `
+EARLIER SUMMARY:
+${summary}
+` : ''}
+MESSAGES:
+${formatTurns(messages)}
+`;
+};
+
+const DIAGRAM_INSTRUCTIONS = {
+  mermaid: '"diagram": { "format": "mermaid", "source": "<Mermaid source, e.g. flowchart TD ...>", "description": "<what the diagram shows and how to draw it in the exam>" }',
+  graphviz: '"diagram": { "format": "graphviz", "source": "<Graphviz DOT source, e.g. digraph G { ... }>", "description": "<what the diagram shows and how to draw it in the exam>" }',
+  description: '"diagram": { "format": "description", "description": "<the diagram to draw: its parts, labels and connections>" }',
+};
+
+// Model answer for one exam question (services/modelAnswers.js), sized to
+// `words`. With a `diagramFormat` the answer includes the diagram to draw.
+const generateModelAnswerPrompt = ({ question, marks, subject, words, diagramFormat }) => {
+  return `
+You are an experienced examiner writing a model answer that would score full marks in a university exam.
+${subject ? `Subject: ${subject}\n` : ''}Question${marks ? ` (${marks} marks)` : ''}: ${question}
+
+Write about ${words} words in total${marks ? `, as a student would for ${marks} marks` : ''}. Use headings an examiner expects (definition, explanation, working, advantages, examples, conclusion...) only where they fit the question.
+
+Return ONLY a single JSON object, with no markdown code fences and no text before or after it, in EXACTLY this shape:
+
+{
+  "outline": ["<the points the answer covers, in order>"],
+  "sections": [
+    { "heading": "...", "content": "<markdown: paragraphs, lists or tables>" }
+  ],
+  "keyPoints": ["<what the examiner looks for>"]${diagramFormat ? `,
+  ${DIAGRAM_INSTRUCTIONS[diagramFormat]}` : ''}
+}
+
+Rules:
+- "sections" must contain the full answer, not placeholders.
+${diagramFormat ? '- The question needs a diagram: refer to it in the sections where it belongs, and make the diagram source valid so it renders.\n' : ''}- Use an empty array when a list has no items. Never omit a key.
+`;
+};
+
+// "(Subject: DBMS; Year: 2022; Exam: end-sem)" so the model can tell recent papers apart
+const describePaper = (paper) => {
+  const details = [
+    paper.subject && paper.subject !== 'Unknown Subject' && `Subject: ${paper.subject}`,
+    paper.courseCode && `Course code: ${paper.courseCode}`,
+    paper.year && `Year: ${paper.year}`,
+    paper.examSession && `Exam: ${paper.examSession}`
+  ].filter(Boolean);
+  return details.length > 0 ? `(${details.join('; ')})\n` : '';
+};
+
+// Joins the extracted papers into the numbered block used by generatePrompt.
+// Chunks of a larger set (services/chunkedAnalysis.js) carry their paper
+// `number`, and the `part` of a paper split across chunks.
+const buildPapersText = (parsedPapers) => parsedPapers.map((paper, index) => `
+Paper ${paper.number || index + 1}${paper.parts > 1 ? ` (part ${paper.part} of ${paper.parts})` : ''}:
+${describePaper(paper)}${paper.text}
+`).join('\n');
+
+module.exports = {
+  isMathSubject,
+  generatePrompt,
+  generateJsonPrompt,
+  generateJsonRepairPrompt,
+  generateMergePrompt,
+  generateChatPrompt,
+  generateChatSummaryPrompt,
+  generateModelAnswerPrompt,
+  buildPapersText,
+};
@@ -0,0 +1,46 @@
+const Question = require('../models/Question');
+const { segmentQuestions } = require('./questions');
+
+// Adds every question of the parsed papers to the user's question bank.
+// Questions already in the bank (same subject, year, paper, number and text)
+// are left untouched. Resolves to `{ saved, duplicates }`.
+const saveToQuestionBank = async (parsedPapers, { userId, analysisId } = {}) => {
+  const operations = [];
+  for (const paper of parsedPapers) {
+    for (const question of segmentQuestions(paper.text)) {
+      const doc = {
+        user: userId,
+        text: question.text,
+        subject: paper.subject,
+        year: paper.year,
+        paper: paper.originalName,
+        questionNumber: question.number,
+        part: question.part || undefined,
+        marks: question.marks === null ? undefined : question.marks,
+        source: {
+          fileId: paper.fileId,
+          originalName: paper.originalName,
+          analysis: analysisId,
+        },
+      };
+      // bulkWrite skips middleware, so the fingerprint is set here
+      doc.fingerprint = Question.fingerprintOf(doc);
+      operations.push({
+        updateOne: {
+          filter: { user: userId, fingerprint: doc.fingerprint },
+          update: { $setOnInsert: doc },
+          upsert: true,
+        },
+      });
+    }
+  }
+
+  if (operations.length === 0) {
+    return { saved: 0, duplicates: 0 };
+  }
+
+  const result = await Question.bulkWrite(operations, { ordered: false });
+  return { saved: result.upsertedCount, duplicates: operations.length - result.upsertedCount };
+};
+
+module.exports = { saveToQuestionBank };
@@ -0,0 +1,107 @@
+// Splits the extracted text of a paper into numbered questions and their
+// sub-parts, e.g. "Q1. a) ... [5]" becomes
+// { number: '1', part: 'a', label: 'q1 a', text, marks: 5 }.
+
+// "Q1.", "Q.1)", "Q 1:", "Que 1", "Question 1", "1.", "1)"
+const QUESTION_START = /^(?:Q(?:ue(?:stion)?)?\.?\s*(?:No\.?\s*)?(\d{1,2})\s*[.):-]?|(\d{1,2})\s*[.)](?!\d))\s*(.*)$/i;
+// "a)", "(a)", "a.", "i)", "(ii)", "iv."
+const PART_START = /^\(?([a-h]|i{1,3}|iv|vi{0,3})\s*[).]\s*(.*)$/i;
+// "Answer any two", "Attempt all questions", ...
+const INSTRUCTION = /^(?:attempt|answer|solve|all questions|any \w+|compulsory|note\b|instructions?)/i;
+const ALTERNATIVE = /^\(?OR\)?$/i;
+// Trailing marks: "[5]", "(05)", "(5 Marks)", "[5M]", "5 marks"
+const MARKS = /\s*(?:[[(]\s*(\d{1,2})\s*(?:marks?|m)?\s*[\])]|(\d{1,2})\s*marks?)\s*$/i;
+
+const MIN_WORDS = 3;
+
+const wordCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Splits trailing marks off the question text; marks is null when not found
+const extractMarks = (text) => {
+  const match = MARKS.exec(text);
+  if (!match) return { text, marks: null };
+  return { text: text.slice(0, match.index).trim(), marks: Number(match[1] || match[2]) };
+};
+
+const buildQuestion = (number, part, rawText) => {
+  const { text, marks } = extractMarks(cleanText(rawText));
+  return { number, part, label: part ? `q${number} ${part}` : `q${number}`, text, marks };
+};
+
+const isQuestionText = (text) => wordCount(text) >= MIN_WORDS && !INSTRUCTION.test(text);
+
+// Papers without recognisable numbering: every line long enough to be a question
+const segmentLines = (lines) => lines
+  .filter(isQuestionText)
+  .map((text, index) => buildQuestion(String(index + 1), null, text));
+
+const segmentQuestions = (text) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const questions = [];
+  let current = null; // { number, stem, parts: [{ part, text }] }
+
+  const flush = () => {
+    if (!current) return;
+    const stem = cleanText(current.stem);
+    if (current.parts.length === 0) {
+      if (isQuestionText(stem)) {
+        questions.push(buildQuestion(current.number, null, stem));
+      }
+    } else {
+      // A stem that is a question in its own right is kept alongside the parts
+      if (isQuestionText(stem) && !/:$/.test(stem)) {
+        questions.push(buildQuestion(current.number, null, stem));
+      }
+      for (const { part, text: partText } of current.parts) {
+        if (wordCount(cleanText(partText)) >= 1) {
+          questions.push(buildQuestion(current.number, part, partText));
+        }
+      }
+    }
+    current = null;
+  };
+
+  const addPart = (part, rest) => {
+    current.parts.push({ part: part.toLowerCase(), text: rest });
+  };
+
+  for (const line of lines) {
+    if (ALTERNATIVE.test(line)) continue;
+
+    const questionMatch = QUESTION_START.exec(line);
+    if (questionMatch) {
+      flush();
+      current = { number: questionMatch[1] || questionMatch[2], stem: '', parts: [] };
+      const rest = questionMatch[3] || '';
+      const inlinePart = PART_START.exec(rest);
+      if (inlinePart) {
+        addPart(inlinePart[1], inlinePart[2]);
+      } else {
+        current.stem = rest;
+      }
+      continue;
+    }
+
+    if (!current) continue;
+
+    const partMatch = PART_START.exec(line);
+    if (partMatch) {
+      addPart(partMatch[1], partMatch[2]);
+    } else if (current.parts.length > 0) {
+      current.parts[current.parts.length - 1].text += ` ${line}`;
+    } else {
+      current.stem += ` ${line}`;
+    }
+  }
+  flush();
+
+  return questions.length > 0 ? questions : segmentLines(lines);
+};
+
+module.exports = { segmentQuestions, extractMarks };
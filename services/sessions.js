@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken, accessTokenTtlSeconds } = require('../middleware/auth');
+
+const refreshTokenTtlDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => !!a && !!b && a.length === b.length
+  && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Refresh tokens look like "<sessionId>.<secret>"
+const issueTokens = (session, secret) => ({
+  token: generateToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: accessTokenTtlSeconds(),
+  refreshExpiresAt: session.expiresAt,
+});
+
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+// Starts a session for `user` and returns its access and refresh tokens
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+  });
+  return issueTokens(session, secret);
+};
+
+// Resolves to the active session a refresh token belongs to, or null.
+// Presenting an already rotated token revokes the session.
+const findSessionByRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashToken(secret);
+  if (sameHash(presentedHash, session.previousTokenHash)) {
+    console.warn(`Refresh token reuse detected for session ${session._id}, revoking it`);
+    await revokeSession(session, 'refresh token reuse');
+    return null;
+  }
+  return sameHash(presentedHash, session.tokenHash) ? session : null;
+};
+
+// Exchanges a refresh token for new tokens, rotating the refresh token.
+// Resolves to null when the token is unknown, expired or revoked.
+const refreshSession = async (refreshToken) => {
+  const session = await findSessionByRefreshToken(refreshToken);
+  if (!session) return null;
+
+  const rotated = newSecret();
+  session.previousTokenHash = session.tokenHash;
+  session.tokenHash = hashToken(rotated);
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { session, tokens: issueTokens(session, rotated) };
+};
+
+const revokeSession = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+};
+
+// Revokes every active session of a user, except `exceptSessionId` when given
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+const listActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() },
+}).sort({ lastUsedAt: -1 });
+
+module.exports = {
+  createSession,
+  findSessionByRefreshToken,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,237 @@
+const { segmentQuestions } = require('./questions');
+
+// Local, deterministic detection of repeated questions across papers.
+// Questions are compared with TF-IDF cosine similarity (default) or word
+// n-gram Jaccard similarity and linked into clusters when the score reaches
+// the threshold. Only clusters spanning two or more papers are reported.
+
+const SIMILARITY_METHODS = ['tfidf', 'jaccard'];
+const DEFAULT_THRESHOLDS = { tfidf: 0.5, jaccard: 0.4 };
+
+// Common words and exam verbs that say nothing about the topic
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'as', 'at', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'their',
+  'what', 'which', 'how', 'why', 'when', 'where', 'who', 'do', 'does', 'can', 'you', 'your', 'any',
+  'explain', 'describe', 'discuss', 'define', 'write', 'state', 'give', 'list', 'mention', 'short',
+  'note', 'notes', 'detail', 'brief', 'briefly', 'suitable', 'example', 'examples', 'neat', 'marks',
+  'various', 'following', 'between', 'about', 'using', 'use', 'also', 'into'
+]);
+
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length > 1 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+  .map(stem);
+
+// TF-IDF vectors (as Maps) for a list of token arrays
+const tfidfVectors = (documents) => {
+  const documentFrequency = new Map();
+  for (const tokens of documents) {
+    for (const token of new Set(tokens)) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  const total = documents.length;
+  return documents.map(tokens => {
+    const termFrequency = new Map();
+    for (const token of tokens) {
+      termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+    }
+    const vector = new Map();
+    for (const [token, count] of termFrequency) {
+      const idf = Math.log((total + 1) / (documentFrequency.get(token) + 1)) + 1;
+      vector.set(token, count * idf);
+    }
+    return vector;
+  });
+};
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [token, weight] of a) {
+    normA += weight * weight;
+    if (b.has(token)) dot += weight * b.get(token);
+  }
+  for (const weight of b.values()) {
+    normB += weight * weight;
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Word n-grams of every size from 1 to `n`
+const ngrams = (tokens, n) => {
+  const grams = new Set();
+  for (let size = 1; size <= n; size++) {
+    for (let i = 0; i + size <= tokens.length; i++) {
+      grams.add(tokens.slice(i, i + size).join(' '));
+    }
+  }
+  return grams;
+};
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+// Returns a function scoring two question indexes
+const buildScorer = (texts, { method, ngram }) => {
+  const tokens = texts.map(tokenize);
+  if (method === 'jaccard') {
+    const sets = tokens.map(list => ngrams(list, ngram));
+    return (i, j) => jaccard(sets[i], sets[j]);
+  }
+  // Same as cosine() with the norms computed once per question
+  const vectors = tfidfVectors(tokens);
+  const norms = vectors.map(vector => Math.sqrt(Array.from(vector.values()).reduce((sum, weight) => sum + weight * weight, 0)));
+  return (i, j) => {
+    if (!norms[i] || !norms[j]) return 0;
+    const [small, large] = vectors[i].size <= vectors[j].size ? [vectors[i], vectors[j]] : [vectors[j], vectors[i]];
+    let dot = 0;
+    for (const [token, weight] of small) {
+      if (large.has(token)) dot += weight * large.get(token);
+    }
+    return dot / (norms[i] * norms[j]);
+  };
+};
+
+const resolveOptions = (options = {}) => {
+  const envMethod = (process.env.REPETITION_METHOD || '').toLowerCase();
+  const method = SIMILARITY_METHODS.includes(options.method) ? options.method
+    : SIMILARITY_METHODS.includes(envMethod) ? envMethod
+    : 'tfidf';
+
+  const threshold = [options.threshold, process.env.REPETITION_THRESHOLD]
+    .map(Number)
+    .find(value => Number.isFinite(value) && value > 0 && value <= 1);
+
+  return {
+    method,
+    threshold: threshold || DEFAULT_THRESHOLDS[method],
+    ngram: Math.min(Math.max(Number(options.ngram) || 2, 1), 4),
+  };
+};
+
+// `items` are `{ paper, ...question }` where `paper` is the 1-based paper number.
+// Returns clusters sorted by size, each with the question closest to all
+// others in the cluster as `representative`.
+const clusterQuestions = (items, options = {}) => {
+  const { method, threshold, ngram } = resolveOptions(options);
+  const score = buildScorer(items.map(item => item.text), { method, ngram });
+
+  // Every score is kept so the medoid search below never scores a pair
+  // twice. NaN marks a pair not scored yet (two questions of the same paper).
+  const pairScores = new Float64Array(items.length * (items.length - 1) / 2).fill(NaN);
+  const pairScore = (i, j) => {
+    const key = i < j ? j * (j - 1) / 2 + i : i * (i - 1) / 2 + j;
+    if (Number.isNaN(pairScores[key])) pairScores[key] = score(i, j);
+    return pairScores[key];
+  };
+  const linkedPair = (i, j) => items[i].paper !== items[j].paper && pairScore(i, j) >= threshold;
+
+  // Union-find over every pair of questions from different papers
+  const parent = items.map((item, index) => index);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (linkedPair(i, j)) {
+        const rootI = find(i);
+        const rootJ = find(j);
+        if (rootI !== rootJ) parent[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  const clusters = [];
+  for (const members of groups.values()) {
+    const papers = Array.from(new Set(members.map(index => items[index].paper))).sort((a, b) => a - b);
+    if (papers.length < 2) continue;
+
+    // Medoid: the member with the highest total similarity to the others
+    const totals = members.map(() => 0);
+    const linked = [];
+    members.forEach((i, a) => {
+      for (let b = a + 1; b < members.length; b++) {
+        const j = members[b];
+        const similarity = pairScore(i, j);
+        totals[a] += similarity;
+        totals[b] += similarity;
+        if (linkedPair(i, j)) linked.push(similarity);
+      }
+    });
+    let representative = members[0];
+    let best = -1;
+    members.forEach((i, a) => {
+      if (totals[a] > best) {
+        best = totals[a];
+        representative = i;
+      }
+    });
+
+    clusters.push({
+      representative: items[representative].text,
+      count: members.length,
+      papers,
+      similarity: Number((linked.reduce((sum, value) => sum + value, 0) / linked.length).toFixed(3)),
+      questions: members.map(index => items[index]),
+    });
+  }
+
+  clusters.sort((a, b) => b.count - a.count
+    || b.papers.length - a.papers.length
+    || a.papers[0] - b.papers[0]
+    || a.representative.localeCompare(b.representative));
+
+  return {
+    method,
+    threshold,
+    clusters: clusters.map((cluster, index) => ({ id: index + 1, ...cluster })),
+  };
+};
+
+// Segments every parsed paper and clusters the questions across papers
+const detectRepeatedQuestions = (parsedPapers, options = {}) => {
+  const items = [];
+  parsedPapers.forEach((paper, index) => {
+    for (const question of segmentQuestions(paper.text)) {
+      items.push({ paper: index + 1, ...question });
+    }
+  });
+
+  const result = clusterQuestions(items, options);
+  return { ...result, questionCount: items.length };
+};
+
+module.exports = {
+  SIMILARITY_METHODS,
+  tokenize,
+  tfidfVectors,
+  cosine,
+  clusterQuestions,
+  detectRepeatedQuestions,
+};
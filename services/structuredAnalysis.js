@@ -0,0 +1,233 @@
+const llm = require('./llm');
+const { generateJsonRepairPrompt } = require('./prompt');
+
+// Structured (format=json) analysis: the shape requested by generateJsonPrompt,
+// a validator that also normalizes small deviations, and a re-prompt loop.
+//
+// {
+//   repeatedQuestions:   [{ question, variants: [String], count, papers: [Number] }],
+//   differenceQuestions: [{ question, papers: [Number] }],
+//   diagramQuestions:    [{ question, papers: [Number] }],
+//   remainingQuestions:  [{ paper, questions: [{ number, text }] }],
+//   recommendations:     { importantTopics, questionPatterns, preparationStrategy },
+//   predictions:         [String]
+// }
+
+const maxRepairs = () => {
+  const value = Number(process.env.STRUCTURED_ANALYSIS_MAX_REPAIRS);
+  return Number.isInteger(value) && value >= 0 ? value : 2;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Pulls the JSON object out of model output that may be wrapped in code
+// fences or prose, and fixes the usual trailing commas and smart quotes.
+const extractJson = (text) => {
+  if (typeof text !== 'string') {
+    throw new Error('Model output is not text');
+  }
+
+  let candidate = text.trim();
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(candidate);
+  if (fenced) {
+    candidate = fenced[1].trim();
+  }
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON object found in model output');
+  }
+  candidate = candidate.slice(start, end + 1);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const repaired = candidate
+      .replace(/[“”]/g, '"')
+      .replace(/,\s*([}\]])/g, '$1');
+    try {
+      return JSON.parse(repaired);
+    } catch (repairError) {
+      throw new Error(`Model output is not valid JSON: ${error.message}`);
+    }
+  }
+};
+
+// "Paper 2", "2" and 2 all become 2
+const toPaperNumber = (value) => {
+  const match = /\d+/.exec(String(value));
+  return match ? Number(match[0]) : NaN;
+};
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const validatePapers = (papers, where, paperCount, errors) => {
+  const list = Array.isArray(papers) ? papers : [papers];
+  const numbers = [];
+  for (const paper of list) {
+    const number = toPaperNumber(paper);
+    if (!Number.isInteger(number) || number < 1 || (paperCount && number > paperCount)) {
+      errors.push(`${where}: "${paper}" is not a valid paper number${paperCount ? ` (1-${paperCount})` : ''}`);
+    } else if (!numbers.includes(number)) {
+      numbers.push(number);
+    }
+  }
+  return numbers.sort((a, b) => a - b);
+};
+
+const validateQuestionList = (list, key, paperCount, errors, extra) => {
+  if (!Array.isArray(list)) {
+    errors.push(`"${key}" must be an array`);
+    return [];
+  }
+  return list.map((item, index) => {
+    const where = `${key}[${index}]`;
+    if (!isObject(item)) {
+      errors.push(`${where} must be an object`);
+      return null;
+    }
+    const question = toText(item.question);
+    if (!question) {
+      errors.push(`${where}.question must be a non-empty string`);
+    }
+    const entry = { question, papers: validatePapers(item.papers, `${where}.papers`, paperCount, errors) };
+    return extra ? extra(item, entry, where) : entry;
+  }).filter(Boolean);
+};
+
+const validateStringList = (list, key, errors) => {
+  if (!Array.isArray(list)) {
+    errors.push(`"${key}" must be an array of strings`);
+    return [];
+  }
+  return list.map(toText).filter(Boolean);
+};
+
+// Returns `{ value, errors }`; `value` is only usable when `errors` is empty
+const validateAnalysis = (data, paperCount) => {
+  const errors = [];
+  if (!isObject(data)) {
+    return { value: null, errors: ['Output must be a JSON object'] };
+  }
+
+  const repeatedQuestions = validateQuestionList(data.repeatedQuestions, 'repeatedQuestions', paperCount, errors, (item, entry) => {
+    const variants = Array.isArray(item.variants) ? item.variants.map(toText).filter(Boolean) : [];
+    const count = Number.isInteger(item.count) && item.count > 0 ? item.count : Math.max(variants.length, entry.papers.length);
+    const repeated = { question: entry.question, variants, count, papers: entry.papers };
+    // Set when the groups were detected locally and only labelled by the model
+    if (item.group !== undefined) repeated.group = Number(item.group);
+    return repeated;
+  });
+  const differenceQuestions = validateQuestionList(data.differenceQuestions, 'differenceQuestions', paperCount, errors);
+  const diagramQuestions = validateQuestionList(data.diagramQuestions, 'diagramQuestions', paperCount, errors);
+
+  let remainingQuestions = [];
+  if (!Array.isArray(data.remainingQuestions)) {
+    errors.push('"remainingQuestions" must be an array');
+  } else {
+    remainingQuestions = data.remainingQuestions.map((group, index) => {
+      const where = `remainingQuestions[${index}]`;
+      if (!isObject(group)) {
+        errors.push(`${where} must be an object`);
+        return null;
+      }
+      const [paper] = validatePapers(group.paper, `${where}.paper`, paperCount, errors);
+      if (!Array.isArray(group.questions)) {
+        errors.push(`${where}.questions must be an array`);
+        return null;
+      }
+      const questions = group.questions.map((question, qIndex) => {
+        // Accept bare strings as questions without a number
+        if (typeof question === 'string') {
+          return { number: '', text: question.trim() };
+        }
+        if (!isObject(question) || !toText(question.text)) {
+          errors.push(`${where}.questions[${qIndex}].text must be a non-empty string`);
+          return null;
+        }
+        return { number: toText(String(question.number || '')), text: toText(question.text) };
+      }).filter(Boolean);
+      return { paper, questions };
+    }).filter(Boolean).sort((a, b) => a.paper - b.paper);
+  }
+
+  const recommendations = { importantTopics: [], questionPatterns: [], preparationStrategy: [] };
+  if (!isObject(data.recommendations)) {
+    errors.push('"recommendations" must be an object');
+  } else {
+    for (const key of Object.keys(recommendations)) {
+      recommendations[key] = validateStringList(data.recommendations[key], `recommendations.${key}`, errors);
+    }
+  }
+
+  const predictions = validateStringList(data.predictions, 'predictions', errors);
+  if (errors.length === 0 && predictions.length === 0) {
+    errors.push('"predictions" must not be empty');
+  }
+
+  return {
+    value: { repeatedQuestions, differenceQuestions, diagramQuestions, remainingQuestions, recommendations, predictions },
+    errors
+  };
+};
+
+const parseStructuredAnalysis = (text, paperCount) => {
+  try {
+    return validateAnalysis(extractJson(text), paperCount);
+  } catch (error) {
+    return { value: null, errors: [error.message] };
+  }
+};
+
+// Replaces the model's repeated question counts and papers with the locally
+// detected clusters, keeping only the labels it wrote for each group
+const mergeRepetitions = (structured, clusters) => {
+  if (!structured || !clusters) return structured;
+  const labels = new Map(structured.repeatedQuestions
+    .filter(item => Number.isInteger(item.group))
+    .map(item => [item.group, item.question]));
+
+  return {
+    ...structured,
+    repeatedQuestions: clusters.map(cluster => ({
+      group: cluster.id,
+      question: labels.get(cluster.id) || cluster.representative,
+      variants: cluster.questions.map(question => question.text),
+      count: cluster.count,
+      papers: cluster.papers,
+    })),
+  };
+};
+
+// Runs `prompt` and re-prompts the answering provider until the output
+// validates or the repair budget is spent. Resolves to the llm.generate
+// result plus `structured`, `repairs` and, when it never validated, `errors`.
+const generateStructuredAnalysis = async (prompt, paperCount, { provider, fallback, forceRefresh } = {}) => {
+  const result = await llm.generate(prompt, { provider, fallback, forceRefresh });
+  let { value, errors } = parseStructuredAnalysis(result.text, paperCount);
+  let text = result.text;
+  let repairs = 0;
+
+  while (errors.length > 0 && repairs < maxRepairs()) {
+    repairs += 1;
+    console.warn(`Structured analysis did not validate (attempt ${repairs}):`, errors);
+    const repaired = await llm.generate(generateJsonRepairPrompt(text, errors), {
+      provider: result.provider,
+      fallback: false,
+      forceRefresh
+    });
+    text = repaired.text;
+    ({ value, errors } = parseStructuredAnalysis(text, paperCount));
+  }
+
+  return {
+    ...result,
+    text,
+    structured: errors.length === 0 ? value : null,
+    repairs,
+    errors: errors.length > 0 ? errors : undefined
+  };
+};
+
+module.exports = { extractJson, validateAnalysis, parseStructuredAnalysis, mergeRepetitions, generateStructuredAnalysis };
@@ -0,0 +1,177 @@
+const { tokenize, tfidfVectors, cosine } = require('./similarity');
+
+// Syllabus text parsed into units and their topics, and past questions
+// mapped onto the units by TF-IDF similarity to the topics.
+
+// "UNIT I", "Unit-2:", "MODULE 3.", "Unit – IV Transactions (8 Hours)"
+const UNIT_HEADER = /^(?:unit|module|chapter)\s*[-–—:.]?\s*([ivx]{1,5}|\d{1,2})\b[\s\-–—:.)]*(.*)$/i;
+// Sections after the units that are not topics
+const END_OF_UNITS = /^(?:text\s*books?|reference(?:\s*books?|s)?|suggested readings?|course outcomes?|list of (?:experiments|practicals))\b/i;
+// "(8 Hours)", "[10 hrs]", "08L", "Lectures: 8"
+const HOURS = /[([]?\s*(?:\d{1,2}\s*(?:hours?|hrs?|lectures?|periods?|l)\b|(?:hours?|hrs?|lectures?|periods?)\s*[:-]?\s*\d{1,2})\s*[)\]]?/gi;
+const BULLET = /^(?:[-*•●▪◦]|\d{1,2}(?:\.\d{1,2})*[.)]?|[a-z][.)])\s+/i;
+const TOPIC_SEPARATOR = /[,;]|\s[–—-]\s|\.\s+(?=[A-Z])/;
+const MAX_TOPIC_LENGTH = 120;
+// Questions less similar than this to every topic are left unmapped
+const MIN_MATCH = 0.1;
+
+const ROMAN = { i: 1, v: 5, x: 10 };
+const unitNumber = (value) => {
+  if (/^\d+$/.test(value)) return Number(value);
+  const digits = value.toLowerCase().split('').map(letter => ROMAN[letter]);
+  return digits.reduce((total, digit, index) => total + (digit < (digits[index + 1] || 0) ? -digit : digit), 0);
+};
+
+const cleanTopic = (text) => text
+  .replace(HOURS, '')
+  .replace(/^[\s\-–—:.]+|[\s\-–—:.]+$/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const splitTopics = (text) => text.replace(BULLET, '')
+  .split(TOPIC_SEPARATOR)
+  .map(cleanTopic)
+  .filter(topic => topic.length >= 2 && topic.length <= MAX_TOPIC_LENGTH && /[a-z]/i.test(topic));
+
+// "Introduction: DBMS concepts, data models" has the title before the colon
+const splitHeader = (rest) => {
+  const cleaned = rest.replace(HOURS, '').trim();
+  const colon = cleaned.indexOf(':');
+  if (colon !== -1) {
+    return { title: cleanTopic(cleaned.slice(0, colon)), topics: splitTopics(cleaned.slice(colon + 1)) };
+  }
+  const topics = splitTopics(cleaned);
+  // A header listing topics is titled by its first one
+  return { title: topics[0] || '', topics: topics.length > 1 ? topics : [] };
+};
+
+// `[{ number, title, topics: [String] }]` from syllabus text. Text before the
+// first unit header (course details, objectives) is ignored.
+const parseSyllabus = (text) => {
+  const units = [];
+  let current = null;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const header = UNIT_HEADER.exec(line);
+    if (header) {
+      const { title, topics } = splitHeader(header[2]);
+      current = { number: unitNumber(header[1]), title, topics };
+      units.push(current);
+      continue;
+    }
+    if (END_OF_UNITS.test(line)) {
+      current = null;
+      continue;
+    }
+    if (current) current.topics.push(...splitTopics(line));
+  }
+
+  return units.map(unit => ({
+    ...unit,
+    topics: Array.from(new Map(unit.topics.map(topic => [topic.toLowerCase(), topic])).values()),
+  }));
+};
+
+// Returns an error message for units that are not `[{ number, title, topics }]`, or null
+const validateUnits = (units) => {
+  if (!Array.isArray(units) || units.length === 0) {
+    return 'units must be a non-empty array';
+  }
+  for (const [index, unit] of units.entries()) {
+    if (!unit || !Number.isInteger(Number(unit.number))) {
+      return `units[${index}].number must be a whole number`;
+    }
+    if (!Array.isArray(unit.topics) || !unit.topics.every(topic => typeof topic === 'string')) {
+      return `units[${index}].topics must be an array of strings`;
+    }
+  }
+  return null;
+};
+
+// Unit and topic index each question is closest to; a unit's title counts
+// as one of its topics
+const mapQuestions = (units, questions) => {
+  const topics = units.flatMap((unit, unitIndex) => [
+    ...(unit.title ? [{ unitIndex, topic: null, text: unit.title }] : []),
+    ...unit.topics.map((topic, topicIndex) => ({ unitIndex, topic: topicIndex, text: topic })),
+  ]);
+  const vectors = tfidfVectors([...topics, ...questions].map(item => tokenize(item.text)));
+  const topicVectors = vectors.slice(0, topics.length);
+
+  return questions.map((question, index) => {
+    const vector = vectors[topics.length + index];
+    let best = null;
+    let bestScore = 0;
+    topicVectors.forEach((topicVector, topicIndex) => {
+      const score = cosine(vector, topicVector);
+      if (score > bestScore) {
+        best = topics[topicIndex];
+        bestScore = score;
+      }
+    });
+    return bestScore >= MIN_MATCH
+      ? { unitIndex: best.unitIndex, topic: best.topic, score: Number(bestScore.toFixed(3)) }
+      : null;
+  });
+};
+
+const addTo = (object, key, amount) => {
+  object[key] = (object[key] || 0) + amount;
+};
+
+// Per-unit question counts and marks by year, topics never asked and the
+// questions no unit matched. `questions` are `{ text, year, marks }`.
+const syllabusCoverage = (syllabus, questions) => {
+  const units = syllabus.units.map(unit => ({
+    number: unit.number,
+    title: unit.title,
+    questionCount: 0,
+    marks: 0,
+    countByYear: {},
+    marksByYear: {},
+    topics: unit.topics.map(topic => ({ topic, count: 0, lastAsked: undefined })),
+    questions: [],
+  }));
+  const unmapped = [];
+
+  mapQuestions(syllabus.units, questions).forEach((match, index) => {
+    const question = questions[index];
+    if (!match) {
+      unmapped.push(question);
+      return;
+    }
+    const unit = units[match.unitIndex];
+    const year = question.year || 'unknown';
+    unit.questionCount += 1;
+    unit.marks += question.marks || 0;
+    addTo(unit.countByYear, year, 1);
+    addTo(unit.marksByYear, year, question.marks || 0);
+    if (match.topic !== null) {
+      const topic = unit.topics[match.topic];
+      topic.count += 1;
+      if (question.year && !(topic.lastAsked >= question.year)) topic.lastAsked = question.year;
+    }
+    unit.questions.push({ ...question, topic: match.topic !== null ? unit.topics[match.topic].topic : undefined, score: match.score });
+  });
+
+  const totalMarks = units.reduce((total, unit) => total + unit.marks, 0);
+  const years = Array.from(new Set(questions.map(question => question.year).filter(Boolean))).sort();
+  return {
+    years,
+    questionCount: questions.length,
+    units: units.map(unit => ({
+      ...unit,
+      // Share of all the marks asked from this unit
+      marksShare: totalMarks ? Number((unit.marks / totalMarks).toFixed(3)) : 0,
+      neverAsked: unit.topics.filter(topic => topic.count === 0).map(topic => topic.topic),
+    })),
+    neverAsked: units.flatMap(unit => unit.topics
+      .filter(topic => topic.count === 0)
+      .map(topic => ({ unit: unit.number, topic: topic.topic }))),
+    unmapped,
+  };
+};
+
+module.exports = { parseSyllabus, validateUnits, mapQuestions, syllabusCoverage };
@@ -0,0 +1,177 @@
+const { clusterQuestions } = require('./similarity');
+const { mapQuestions } = require('./syllabus');
+const { segmentQuestions } = require('./questions');
+const { splitPapersText } = require('./mockPapers');
+
+// Topic frequency across exam years. Topics are groups of similar questions
+// (services/similarity.js) or, with a syllabus, its topics
+// (services/syllabus.js). Years are those of the papers in the set, so a
+// year without a paper is missing data rather than a year with no questions.
+
+const TREND_SOURCES = ['all', 'analyses', 'bank'];
+// Questions compared pairwise when clustering, most recent years first.
+// Clustering is quadratic and runs on the request, so keep this low.
+const MAX_QUESTIONS = 1000;
+// Years of papers needed before a topic is called rising or declining
+const MIN_TREND_YEARS = 3;
+// Relative change in a topic's share of the questions over the years beyond
+// which it is rising or declining
+const TREND_CHANGE = 0.5;
+const MAX_EXAMPLES = 3;
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// `{ text, year, marks, paper }` for every question of the analyses' papers
+// of `subject` (all papers when no subject is given)
+const analysisQuestions = (histories, subject) => histories.flatMap(history => {
+  const papersInfo = history.papersInfo || [];
+  return splitPapersText(history.papersText).flatMap(paper => {
+    const info = papersInfo[paper.number - 1] || {};
+    if (subject && normalize(info.subject) !== normalize(subject)) return [];
+    return segmentQuestions(paper.text).map(question => ({
+      text: question.text,
+      year: info.year,
+      marks: question.marks === null ? undefined : question.marks,
+      paper: info.originalName,
+    }));
+  });
+});
+
+// The same paper analyzed twice, or saved to the bank by its analysis,
+// counts once
+const dedupeQuestions = (questions) => {
+  const seen = new Set();
+  return questions.filter(question => {
+    const key = `${question.year}|${normalize(question.paper)}|${normalize(question.text)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Least-squares slope of `values` over `xs`
+const slope = (xs, values) => {
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = values.reduce((sum, y) => sum + y, 0) / values.length;
+  let numerator = 0;
+  let denominator = 0;
+  xs.forEach((x, index) => {
+    numerator += (x - meanX) * (values[index] - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  return denominator ? numerator / denominator : 0;
+};
+
+// Groups of questions that make up a topic, labelled by a syllabus topic
+// or by the most central question of a cluster
+const topicGroups = (questions, { syllabus, method, threshold }) => {
+  if (syllabus) {
+    const groups = new Map();
+    mapQuestions(syllabus.units, questions).forEach((match, index) => {
+      if (!match) return;
+      const unit = syllabus.units[match.unitIndex];
+      const key = `${match.unitIndex}:${match.topic}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          topic: match.topic !== null ? unit.topics[match.topic] : unit.title || `Unit ${unit.number}`,
+          unit: unit.number,
+          questions: [],
+        });
+      }
+      groups.get(key).questions.push(questions[index]);
+    });
+    return Array.from(groups.values());
+  }
+
+  // A topic has to appear in two papers, so questions are keyed by paper
+  const paperNumbers = new Map();
+  const items = questions.map(question => {
+    const key = `${question.year}|${normalize(question.paper)}`;
+    if (!paperNumbers.has(key)) paperNumbers.set(key, paperNumbers.size + 1);
+    return { ...question, paper: paperNumbers.get(key), paperName: question.paper };
+  });
+  return clusterQuestions(items, { method, threshold }).clusters.map(cluster => ({
+    topic: cluster.representative,
+    questions: cluster.questions.map(({ paperName, ...question }) => ({ ...question, paper: paperName })),
+  }));
+};
+
+// Per-topic time series, rising and declining topics and the years since
+// each topic was last asked. `questions` are `{ text, year, marks, paper }`;
+// questions without a year are left out.
+const topicTrends = (questions, options = {}) => {
+  const allDated = dedupeQuestions(questions.filter(question => Number.isInteger(question.year)))
+    .sort((a, b) => b.year - a.year);
+  const dated = allDated.slice(0, MAX_QUESTIONS);
+  const years = Array.from(new Set(dated.map(question => question.year))).sort((a, b) => a - b);
+  const latestYear = years[years.length - 1];
+  const questionsByYear = Object.fromEntries(years.map(year => [year, 0]));
+  dated.forEach(question => { questionsByYear[question.year] += 1; });
+
+  const topics = topicGroups(dated, options).map(group => {
+    const series = years.map(year => {
+      const asked = group.questions.filter(question => question.year === year);
+      return {
+        year,
+        count: asked.length,
+        marks: asked.reduce((total, question) => total + (question.marks || 0), 0),
+        // Share of that year's questions, so years with more papers do not look busier
+        share: Number((asked.length / questionsByYear[year]).toFixed(3)),
+      };
+    });
+    const askedYears = series.filter(point => point.count > 0).map(point => point.year);
+    const lastAsked = askedYears[askedYears.length - 1];
+    const intervals = askedYears.slice(1).map((year, index) => year - askedYears[index]);
+    const averageInterval = intervals.length > 0
+      ? Number((intervals.reduce((sum, value) => sum + value, 0) / intervals.length).toFixed(1))
+      : null;
+
+    let trend = null;
+    let change = null;
+    if (years.length >= MIN_TREND_YEARS) {
+      const shares = series.map(point => point.share);
+      const meanShare = shares.reduce((sum, value) => sum + value, 0) / shares.length;
+      // Fitted change in share from the first year to the last, relative to the mean share
+      change = meanShare ? Number((slope(years, shares) * (latestYear - years[0]) / meanShare).toFixed(2)) : 0;
+      trend = change > TREND_CHANGE ? 'rising' : change < -TREND_CHANGE ? 'declining' : 'steady';
+    }
+
+    const gap = latestYear - lastAsked;
+    return {
+      topic: group.topic,
+      unit: group.unit,
+      count: group.questions.length,
+      marks: group.questions.reduce((total, question) => total + (question.marks || 0), 0),
+      firstAsked: askedYears[0],
+      lastAsked,
+      // Years between the latest paper and the last time the topic was asked
+      gap,
+      averageInterval,
+      // Not asked for longer than it usually goes unasked
+      overdue: averageInterval !== null && gap > 0 && gap >= averageInterval,
+      trend,
+      change,
+      series,
+      examples: group.questions.slice(0, MAX_EXAMPLES).map(question => question.text),
+    };
+  }).sort((a, b) => b.count - a.count || b.lastAsked - a.lastAsked || a.topic.localeCompare(b.topic));
+
+  const summary = (topic) => ({ topic: topic.topic, unit: topic.unit, change: topic.change, lastAsked: topic.lastAsked, gap: topic.gap });
+  return {
+    years,
+    latestYear,
+    questionsByYear,
+    questionCount: dated.length,
+    undated: questions.filter(question => !Number.isInteger(question.year)).length,
+    truncated: allDated.length > MAX_QUESTIONS,
+    topics,
+    rising: topics.filter(topic => topic.trend === 'rising')
+      .sort((a, b) => b.change - a.change).map(summary),
+    declining: topics.filter(topic => topic.trend === 'declining')
+      .sort((a, b) => a.change - b.change).map(summary),
+    overdue: topics.filter(topic => topic.overdue)
+      .sort((a, b) => b.gap - a.gap || b.count - a.count).map(summary),
+  };
+};
+
+module.exports = { TREND_SOURCES, analysisQuestions, topicTrends };
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Upload = require('../models/Upload');
+const AnalysisJob = require('../models/AnalysisJob');
+const { ACTIVE_STATUSES } = require('../models/AnalysisJob');
+const { UPLOAD_DIR, isValidFileId, uploadPath } = require('./papers');
+
+// Limits on what /api/upload accepts. Sizes are in MB.
+const uploadLimits = () => ({
+  maxFileBytes: (Number(process.env.UPLOAD_MAX_FILE_MB) || 20) * 1024 * 1024,
+  maxRequestBytes: (Number(process.env.UPLOAD_MAX_REQUEST_MB) || 50) * 1024 * 1024,
+  maxFiles: Number(process.env.UPLOAD_MAX_FILES) || 10,
+  maxPages: Number(process.env.UPLOAD_MAX_PAGES) || 50,
+  // Uploads not analyzed yet that one user (or upload token) may keep
+  maxPendingBytes: (Number(process.env.UPLOAD_MAX_PENDING_MB) || 200) * 1024 * 1024,
+});
+
+// Uploads not analyzed within UPLOAD_TTL_HOURS are removed by the sweeper,
+// which runs every UPLOAD_SWEEP_INTERVAL_MINUTES
+const ttlHours = () => Number(process.env.UPLOAD_TTL_HOURS) || 24;
+const sweepIntervalMinutes = () => Number(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES) || 60;
+
+const EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/heic': '.heic',
+  'image/heif': '.heif',
+};
+
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+// File type from the first bytes of the content, or null when it is not one
+// we accept. The client supplied mimetype is not trusted.
+const sniffFileType = (header) => {
+  // PDF readers accept the %PDF- marker anywhere in the first 1024 bytes
+  if (header.subarray(0, 1024).includes('%PDF-')) return 'application/pdf';
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'image/jpeg';
+  if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (header.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = header.toString('latin1', 8, 12);
+    if (HEIF_BRANDS.includes(brand)) return brand.startsWith('he') ? 'image/heic' : 'image/heif';
+  }
+  return null;
+};
+
+const readHeader = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(1024);
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Random name for a stored file, so uploads cannot be found by guessing
+const storageName = (type) => `${crypto.randomBytes(16).toString('hex')}${EXTENSIONS[type] || '.bin'}`;
+
+// Original file names are only ever shown back to the user: strip any path,
+// control characters and characters that break Content-Disposition headers
+const sanitizeFileName = (name) => {
+  const cleaned = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"<>|:*?]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200);
+  return cleaned || 'paper';
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Owner of the uploads in a request: the logged in user, or else the upload
+// token sent in X-Upload-Token (a new one is issued when none is sent).
+// Anonymous uploads also record the client IP for the pending bytes cap.
+const uploadOwner = (req) => {
+  if (req.user) return { user: req.user._id };
+  const sent = req.get('X-Upload-Token');
+  const token = sent && /^[a-f0-9]{64}$/.test(sent) ? sent : crypto.randomBytes(32).toString('hex');
+  return { tokenHash: hashToken(token), token, ip: req.ip };
+};
+
+const ownerFilter = (req) => {
+  if (req.user) return { user: req.user._id };
+  const token = req.get('X-Upload-Token');
+  return token ? { tokenHash: hashToken(token) } : null;
+};
+
+const canAccessUpload = (upload, req) => {
+  if (req.user && (req.user.role === 'admin' || (upload.user && upload.user.equals(req.user._id)))) {
+    return true;
+  }
+  const token = req.get('X-Upload-Token');
+  return !!(token && upload.tokenHash && upload.tokenHash === hashToken(token));
+};
+
+// Bytes of not yet analyzed uploads held by an owner. Anonymous uploads are
+// counted per client IP: a client that drops its upload token gets a new one
+// on every request, so the token alone would never reach the cap.
+const pendingBytes = async (owner) => {
+  const filter = owner.user
+    ? { user: owner.user }
+    : { user: { $exists: false }, $or: [{ tokenHash: owner.tokenHash }, { ip: owner.ip }] };
+  const [result] = await Upload.aggregate([
+    { $match: filter },
+    { $group: { _id: null, bytes: { $sum: '$size' } } },
+  ]);
+  return result ? result.bytes : 0;
+};
+
+// Returns an error message unless every paper is an upload the requester may use.
+// Throws a 400 error when `papers` is not an array.
+const authorizeUploads = async (papers, req) => {
+  if (!Array.isArray(papers)) {
+    const error = new Error('papers must be an array');
+    error.status = 400;
+    throw error;
+  }
+  const fileIds = papers.map(paper => paper && paper.fileId);
+  if (!fileIds.every(isValidFileId)) {
+    return 'Invalid fileId';
+  }
+  const uploads = await Upload.find({ fileId: { $in: fileIds } });
+  for (const fileId of fileIds) {
+    const upload = uploads.find(item => item.fileId === fileId);
+    if (!upload || !canAccessUpload(upload, req)) {
+      return `Upload ${fileId} not found`;
+    }
+  }
+  return null;
+};
+
+// Total pages of the uploads referenced by an analysis request
+const uploadedPages = async (papers) => {
+  if (!Array.isArray(papers)) return 0;
+  const fileIds = papers.map(paper => paper && paper.fileId).filter(isValidFileId);
+  const uploads = await Upload.find({ fileId: { $in: fileIds } }).select('pages');
+  return uploads.reduce((total, upload) => total + (upload.pages || 0), 0);
+};
+
+// Deletes stored files and their upload records. Failures are logged only.
+const removeUploadFiles = (fileIds) => {
+  const valid = fileIds.filter(isValidFileId);
+  for (const fileId of valid) {
+    fs.unlink(uploadPath(fileId), (err) => {
+      if (err && err.code !== 'ENOENT') {
+        console.warn(`Failed to delete uploaded file ${fileId}:`, err.message);
+      }
+    });
+  }
+  if (valid.length > 0) {
+    Upload.deleteMany({ fileId: { $in: valid } })
+      .catch(err => console.warn('Failed to delete upload records:', err.message));
+  }
+};
+
+// Removes uploads older than UPLOAD_TTL_HOURS, and files in the uploads
+// directory that have no record (left by crashes or older versions). Files
+// of queued or running jobs are kept.
+const sweepUploads = async () => {
+  const cutoff = new Date(Date.now() - ttlHours() * 60 * 60 * 1000);
+  const activeJobs = await AnalysisJob.find({ status: { $in: ACTIVE_STATUSES } }).select('request.papers');
+  const inUse = new Set(activeJobs.flatMap(job => (job.request && job.request.papers || []).map(paper => paper.fileId)));
+
+  const stale = await Upload.find({ createdAt: { $lt: cutoff }, fileId: { $nin: Array.from(inUse) } }).select('fileId');
+  for (const { fileId } of stale) {
+    await fs.promises.rm(uploadPath(fileId), { force: true });
+  }
+  await Upload.deleteMany({ _id: { $in: stale.map(upload => upload._id) } });
+
+  const known = new Set(await Upload.distinct('fileId'));
+  let orphans = 0;
+  const files = await fs.promises.readdir(UPLOAD_DIR).catch(() => []);
+  for (const file of files) {
+    if (known.has(file) || inUse.has(file)) continue;
+    const filePath = path.join(UPLOAD_DIR, file);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (stats && stats.isFile() && stats.mtime < cutoff) {
+      await fs.promises.rm(filePath, { force: true });
+      orphans += 1;
+    }
+  }
+
+  if (stale.length > 0 || orphans > 0) {
+    console.log(`Upload sweeper removed ${stale.length} expired upload(s) and ${orphans} orphaned file(s)`);
+  }
+  return { expired: stale.length, orphans };
+};
+
+const startUploadSweeper = () => {
+  const run = () => sweepUploads().catch(error => console.error('Upload sweeper error:', error));
+  run();
+  const timer = setInterval(run, sweepIntervalMinutes() * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  uploadLimits,
+  sniffFileType,
+  readHeader,
+  storageName,
+  sanitizeFileName,
+  hashToken,
+  uploadOwner,
+  ownerFilter,
+  canAccessUpload,
+  pendingBytes,
+  authorizeUploads,
+  uploadedPages,
+  removeUploadFiles,
+  sweepUploads,
+  startUploadSweeper,
+};
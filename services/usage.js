@@ -0,0 +1,178 @@
+const UsageCounter = require('../models/UsageCounter');
+
+// Rate limits and plan quotas for the endpoints that call the LLM providers.
+// Counters live in MongoDB (models/UsageCounter.js) so they survive restarts
+// and are shared between server instances.
+
+const QUOTA_FIELDS = ['analysesPerDay', 'analysesPerMonth', 'pagesPerDay', 'pagesPerMonth'];
+
+// Anonymous requests are counted per IP address
+const DEFAULT_PLAN_LIMITS = {
+  anonymous: { analysesPerDay: 2, analysesPerMonth: 10, pagesPerDay: 20, pagesPerMonth: 100 },
+  free: { analysesPerDay: 10, analysesPerMonth: 100, pagesPerDay: 100, pagesPerMonth: 1000 },
+  pro: { analysesPerDay: 100, analysesPerMonth: 1000, pagesPerDay: 1000, pagesPerMonth: 10000 },
+};
+
+// PLAN_LIMITS='{"free":{"analysesPerDay":5}}' overrides single values
+const planLimits = (plan) => {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.PLAN_LIMITS || '{}')[plan] || {};
+  } catch (error) {
+    console.error('Invalid PLAN_LIMITS:', error.message);
+  }
+  return { ...DEFAULT_PLAN_LIMITS[plan], ...overrides };
+};
+
+const rateLimitSettings = () => ({
+  windowSeconds: Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60,
+  perIp: Number(process.env.RATE_LIMIT_PER_IP) || 20,
+  perUser: Number(process.env.RATE_LIMIT_PER_USER) || 30,
+});
+
+// Who a request is charged to, with the limits that apply. Admins are not
+// held to quotas.
+const userSubject = (user) => {
+  const limits = planLimits(user.plan || 'free');
+  for (const field of QUOTA_FIELDS) {
+    if (user.quota && typeof user.quota[field] === 'number') limits[field] = user.quota[field];
+  }
+  return { id: `user:${user._id}`, plan: user.plan || 'free', limits, exempt: user.role === 'admin' };
+};
+
+const usageSubject = (req) => (req.user
+  ? userSubject(req.user)
+  : { id: `ip:${req.ip}`, plan: 'anonymous', limits: planLimits('anonymous'), exempt: false });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Current quota periods (UTC) with the time each one ends
+const currentPeriods = (now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+  return {
+    day: { key: now.toISOString().slice(0, 10), resetsAt: new Date(Date.UTC(year, month, date + 1)) },
+    month: { key: now.toISOString().slice(0, 7), resetsAt: new Date(Date.UTC(year, month + 1, 1)) },
+  };
+};
+
+const quotaCounters = (subject) => {
+  const { day, month } = currentPeriods();
+  return [
+    { field: 'analysesPerDay', kind: 'analyses', period: day, key: `analyses:${subject.id}:day:${day.key}` },
+    { field: 'analysesPerMonth', kind: 'analyses', period: month, key: `analyses:${subject.id}:month:${month.key}` },
+    { field: 'pagesPerDay', kind: 'pages', period: day, key: `pages:${subject.id}:day:${day.key}` },
+    { field: 'pagesPerMonth', kind: 'pages', period: month, key: `pages:${subject.id}:month:${month.key}` },
+  ];
+};
+
+// Two requests creating the same counter at once make one upsert fail
+// with a duplicate key; the retry then finds the counter
+const increment = async (key, amount, expiresAt) => {
+  const update = { $inc: { count: amount }, $setOnInsert: { expiresAt } };
+  try {
+    return await UsageCounter.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return UsageCounter.findOneAndUpdate({ key }, update, { new: true });
+  }
+};
+
+// Adds `amount` unless the counter would go over `limit`. Resolves to false
+// when it would.
+const incrementWithin = async (key, amount, limit, expiresAt) => {
+  if (amount > limit) return false;
+  try {
+    await UsageCounter.findOneAndUpdate(
+      { key, count: { $lte: limit - amount } },
+      { $inc: { count: amount }, $setOnInsert: { expiresAt } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The counter exists but is too high, so the upsert tried to insert a second one
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const refund = (charges) => Promise.all(charges.map(charge => (
+  UsageCounter.updateOne({ key: charge.key }, { $inc: { count: -charge.amount } })
+)));
+
+// Charges `analyses` and `pages` to every current period of the subject.
+// Resolves to `{ ok: true, refund }`, or `{ ok: false, exceeded }` with the
+// quota field that ran out, in which case nothing is charged.
+const chargeQuota = async (subject, { analyses = 1, pages = 0 } = {}) => {
+  const amounts = { analyses, pages };
+  const applied = [];
+  for (const counter of quotaCounters(subject)) {
+    const amount = amounts[counter.kind];
+    if (!amount) continue;
+    // Kept a day past the period so usage can still be looked at
+    const expiresAt = new Date(counter.period.resetsAt.getTime() + DAY_MS);
+    if (!await incrementWithin(counter.key, amount, subject.limits[counter.field], expiresAt)) {
+      await refund(applied);
+      return { ok: false, exceeded: counter.field };
+    }
+    applied.push({ key: counter.key, amount });
+  }
+  return { ok: true, refund: () => refund(applied) };
+};
+
+// Used, limit and remaining analyses and pages for the current day and month
+const usageReport = async (subject) => {
+  const counters = quotaCounters(subject);
+  const stored = await UsageCounter.find({ key: { $in: counters.map(counter => counter.key) } });
+  const report = { plan: subject.plan, exempt: subject.exempt };
+  for (const counter of counters) {
+    const periodName = counter.field.endsWith('Day') ? 'day' : 'month';
+    const entry = stored.find(item => item.key === counter.key);
+    const used = entry ? entry.count : 0;
+    const limit = subject.limits[counter.field];
+    report[periodName] = report[periodName] || { resetsAt: counter.period.resetsAt };
+    report[periodName][counter.kind] = { used, limit, remaining: Math.max(limit - used, 0) };
+  }
+  report.rateLimit = rateLimitSettings();
+  return report;
+};
+
+// Clears the subject's counters for the current periods
+const resetUsage = (subject) => UsageCounter.deleteMany({
+  key: { $in: quotaCounters(subject).map(counter => counter.key) }
+});
+
+// Counts a request against the per-IP and, when logged in, the per-user
+// fixed window. Resolves to the most constrained of the two.
+const hitRateLimit = async (req) => {
+  const { windowSeconds, perIp, perUser } = rateLimitSettings();
+  const window = Math.floor(Date.now() / (windowSeconds * 1000));
+  const resetsAt = new Date((window + 1) * windowSeconds * 1000);
+
+  const limits = [{ key: `rate:ip:${req.ip}:${window}`, limit: perIp }];
+  if (req.user) {
+    limits.push({ key: `rate:user:${req.user._id}:${window}`, limit: perUser });
+  }
+
+  let state = null;
+  for (const { key, limit } of limits) {
+    const counter = await increment(key, 1, resetsAt);
+    const remaining = limit - counter.count;
+    if (!state || remaining < state.remaining) {
+      state = { limit, remaining, resetsAt };
+    }
+  }
+  return { ...state, limited: state.remaining < 0, remaining: Math.max(state.remaining, 0) };
+};
+
+module.exports = {
+  QUOTA_FIELDS,
+  planLimits,
+  userSubject,
+  usageSubject,
+  chargeQuota,
+  usageReport,
+  resetUsage,
+  hitRateLimit,
+};
@@ -0,0 +1,16 @@
+// Helpers for list and search endpoints, shared so the page size limit and
+// regex escaping are the same everywhere
+
+const MAX_PAGE_SIZE = 100;
+
+// User input used inside a RegExp matches literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `{ page, limit, skip }` from ?page=&limit=; 20 per page, at most MAX_PAGE_SIZE
+const paginate = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = { MAX_PAGE_SIZE, escapeRegex, paginate };